@@ -15,6 +15,9 @@ document.addEventListener("DOMContentLoaded", () => {
 
   const widgetContainer = document.querySelector(".placeholder-controls");
 
+  // Replaced by the import modal when the widget bar exists
+  let showImport = (txt, err) => alert(err);
+
 
   /* ======================================================
    * SAN / FIGURINES
@@ -25,6 +28,15 @@ document.addEventListener("DOMContentLoaded", () => {
     s.replace(/^[KQRBN]/, p => FIG[p] || p)
      .replace(/=([QRBN])/, (_, p) => "=" + FIG[p]);
 
+  const NAG = window.PGNCore ? window.PGNCore.NAG_MAP : {};
+  const nagText = n =>
+    n.nags.map(c => NAG[c] ? (c <= 6 ? NAG[c] : "\u00A0" + NAG[c]) : "").join("") +
+    n.symbols.map(s => "\u00A0" + s).join("");
+
+  // Eval symbol -> the NAG it is exported as ("⩲" -> $14); chess.js reads
+  // no symbols in movetext, so ones without a NAG (⯹) are left out
+  const SYMBOL_NAGS = { "=": 10, "∞": 13, "⩲": 14, "⩱": 15, "±": 16, "∓": 17, "+−": 18, "−+": 19 };
+
 
   /* ======================================================
    * TREE MODEL
@@ -40,6 +52,9 @@ document.addEventListener("DOMContentLoaded", () => {
       this.next = null;
       this.vars = [];
       this.comment = "";
+      this.nags = [];
+      this.symbols = [];
+      this.castling = null; // Chess960 rook files, see PGNCore.play
     }
   }
 
@@ -54,6 +69,7 @@ document.addEventListener("DOMContentLoaded", () => {
   const root = new Node(null, null, START_FEN);
   let cursor = root;
 
+  let gameHeaders = {};
   let pendingPromotion = null;
   let boardOrientation = localStorage.getItem("boardOrientation") || "white";
 
@@ -65,12 +81,22 @@ document.addEventListener("DOMContentLoaded", () => {
   const board = Chessboard("board", {
     position: "start",
     draggable: true,
-    pieceTheme: "https://chessboardjs.com/img/chesspieces/wikipedia/{piece}.png",
+    pieceTheme: window.PGNCore
+      ? window.PGNCore.pieceTheme()
+      : "https://jekyllchess.github.io/assets/img/chesspieces/wikipedia/{piece}.png",
     onDrop
   });
 
   board.orientation(boardOrientation);
 
+  // [%cal] arrows and [%csl] squares kept in the current node's comment
+  function drawMarks() {
+    const C = window.PGNCore;
+    if (!C) return;
+    const marks = C.parseMarks(C.parseCommands(cursor.comment).commands);
+    C.drawMarks(document.getElementById("board"), marks, boardOrientation);
+  }
+
   function rebuildTo(node, animate) {
     chess.load(node?.fen || START_FEN);
     board.position(chess.fen(), !!animate);
@@ -81,9 +107,18 @@ document.addEventListener("DOMContentLoaded", () => {
    * MOVE INPUT + PROMOTION
    * ====================================================== */
 
-  function onDrop(from, to) {
+  // Chess960 games (cursor.castling set) castle through PGNCore
+  function tryMove(move) {
+    if (cursor.castling && window.PGNCore) {
+      return window.PGNCore.play(cursor, move);
+    }
     const t = new Chess(chess.fen());
-    const p = t.get(from);
+    const m = t.move(move);
+    return m && { move: m, fen: t.fen(), castling: null };
+  }
+
+  function onDrop(from, to) {
+    const p = chess.get(from);
 
     if (p?.type === "p" && (to[1] === "8" || to[1] === "1")) {
       pendingPromotion = { from, to };
@@ -91,20 +126,19 @@ document.addEventListener("DOMContentLoaded", () => {
       return;
     }
 
-    const m = t.move({ from, to, promotion: "q" });
-    if (!m) return "snapback";
-    applyMove(m.san, t.fen());
+    const r = tryMove({ from, to, promotion: "q" });
+    if (!r) return "snapback";
+    applyMove(r.move.san, r.fen, r.castling);
   }
 
   promo.onclick = e => {
     if (!e.target.dataset.p) return;
     promo.style.display = "none";
 
-    const t = new Chess(chess.fen());
-    const m = t.move({ ...pendingPromotion, promotion: e.target.dataset.p });
+    const r = tryMove({ ...pendingPromotion, promotion: e.target.dataset.p });
     pendingPromotion = null;
 
-    if (m) applyMove(m.san, t.fen());
+    if (r) applyMove(r.move.san, r.fen, r.castling);
   };
 
 
@@ -112,7 +146,7 @@ document.addEventListener("DOMContentLoaded", () => {
    * INSERTION (MAINLINE vs VARIATION)
    * ====================================================== */
 
-  function applyMove(san, fen) {
+  function applyMove(san, fen, castling) {
     if (cursor.next && cursor.next.san === san) {
       cursor = cursor.next;
       rebuildTo(cursor, false);
@@ -121,6 +155,7 @@ document.addEventListener("DOMContentLoaded", () => {
     }
 
     const n = new Node(san, cursor, fen);
+    n.castling = castling || null;
     if (!cursor.next) cursor.next = n;
     else cursor.vars.push(n);
 
@@ -134,51 +169,41 @@ document.addEventListener("DOMContentLoaded", () => {
    * RENDERING (PGN + COMMENTS)
    * ====================================================== */
 
+  // Comment without its [%...] commands
+  const commentText = c =>
+    window.PGNCore ? window.PGNCore.parseCommands(c).text : c;
+
   function render() {
     movesDiv.innerHTML = "";
     renderMainline();
+    drawMarks();
   }
 
   function renderMainline() {
-    let m = 1;
-    let w = root.next;
-    let bPrev = null;
+    let ply = plyOf(root.fen);
+    let force = true;
 
-    while (w) {
-      let printedWhiteVar = false;
-
-      movesDiv.appendChild(text(m + ".\u00A0"));
-      appendMove(movesDiv, w);
-      appendComment(movesDiv, w);
+    if (commentText(root.comment)) {
+      appendComment(movesDiv, root);
       movesDiv.appendChild(text(" "));
+    }
 
-      if (bPrev && bPrev.vars.length) {
-        for (const v of bPrev.vars) {
-          renderVarBlock(movesDiv, v, m, "w");
-          printedWhiteVar = true;
-        }
-      }
-
-      const b = w.next;
-      if (!b) return;
+    for (let n = root.next; n; n = n.next, ply++) {
+      const m = Math.floor(ply / 2) + 1;
+      const side = ply % 2 === 0 ? "w" : "b";
 
-      if (printedWhiteVar) {
-        movesDiv.appendChild(text(m + "...\u00A0"));
-      }
+      if (side === "w") movesDiv.appendChild(text(m + ".\u00A0"));
+      else if (force) movesDiv.appendChild(text(m + "...\u00A0"));
+      force = false;
 
-      appendMove(movesDiv, b);
-      appendComment(movesDiv, b);
+      appendMove(movesDiv, n);
+      appendComment(movesDiv, n);
       movesDiv.appendChild(text(" "));
 
-      if (w.vars.length) {
-        for (const v of w.vars) {
-          renderVarBlock(movesDiv, v, m, "b");
-        }
+      for (const v of n.parent.vars) {
+        renderVarBlock(movesDiv, v, m, side);
+        force = true;
       }
-
-      bPrev = b;
-      w = b.next;
-      m++;
     }
   }
 
@@ -204,6 +229,11 @@ document.addEventListener("DOMContentLoaded", () => {
       appendComment(container, cur);
       container.appendChild(text(" "));
 
+      if (!first && cur.parent.vars.length) {
+        for (const v of cur.parent.vars) renderVarBlock(container, v, m, s);
+        if (s === "w" && cur.next) container.appendChild(text(m + "...\u00A0"));
+      }
+
       if (s === "b") m++;
       s = s === "w" ? "b" : "w";
       first = false;
@@ -214,7 +244,7 @@ document.addEventListener("DOMContentLoaded", () => {
   function appendMove(container, node) {
     const span = document.createElement("span");
     span.className = "move" + (node === cursor ? " active" : "");
-    span.textContent = figSAN(node.san);
+    span.textContent = figSAN(node.san) + nagText(node);
     span.onclick = () => {
       cursor = node;
       rebuildTo(node, true);
@@ -225,10 +255,11 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   function appendComment(container, node) {
-    if (!node.comment) return;
+    const txt = node.comment && commentText(node.comment);
+    if (!txt) return;
     const c = document.createElement("span");
     c.className = "comment";
-    c.textContent = `{ ${node.comment} }`;
+    c.textContent = `{ ${txt} }`;
     container.appendChild(c);
   }
 
@@ -245,6 +276,208 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
 
+  /* ======================================================
+   * PGN EXPORT (export format: tag pairs + wrapped movetext)
+   * ====================================================== */
+
+  const PGN_LINE_WIDTH = 80;
+
+  function pgnDate(d) {
+    const p = n => String(n).padStart(2, "0");
+    return d.getFullYear() + "." + p(d.getMonth() + 1) + "." + p(d.getDate());
+  }
+
+  function plyOf(fen) {
+    const f = fen.split(" ");
+    return (Math.max(1, parseInt(f[5], 10) || 1) - 1) * 2 + (f[1] === "b" ? 1 : 0);
+  }
+
+  function pgnResult() {
+    let n = root;
+    while (n.next) n = n.next;
+    const t = new Chess(n.fen);
+    if (t.in_checkmate()) return t.turn() === "w" ? "0-1" : "1-0";
+    if (t.in_stalemate() || t.insufficient_material()) return "1/2-1/2";
+    return "*";
+  }
+
+  function commentTokens(c) {
+    const words = c.replace(/}/g, ")").split(/\s+/).filter(Boolean);
+    if (!words.length) return [];
+    words[0] = "{" + words[0];
+    words[words.length - 1] += "}";
+    return words;
+  }
+
+  // Movetext tokens of one line; alternatives follow the move they replace
+  function lineTokens(first, ply, out) {
+    let n = first, force = true;
+
+    while (n) {
+      const num = Math.floor(ply / 2) + 1;
+      if (ply % 2 === 0) out.push(num + ".");
+      else if (force) out.push(num + "...");
+
+      out.push(
+        n.san,
+        ...n.nags.map(c => "$" + c),
+        ...n.symbols.filter(s => SYMBOL_NAGS[s]).map(s => "$" + SYMBOL_NAGS[s])
+      );
+      force = false;
+
+      if (n.comment) {
+        out.push(...commentTokens(n.comment));
+        force = true;
+      }
+
+      if (n.parent.next === n && n.parent.vars.length) {
+        for (const v of n.parent.vars) {
+          const sub = [];
+          lineTokens(v, ply, sub);
+          sub[0] = "(" + sub[0];
+          sub[sub.length - 1] += ")";
+          out.push(...sub);
+        }
+        force = true;
+      }
+
+      n = n.next;
+      ply++;
+    }
+  }
+
+  function wrap(tokens) {
+    const lines = [];
+    let line = "";
+    for (const t of tokens) {
+      if (line && line.length + 1 + t.length > PGN_LINE_WIDTH) {
+        lines.push(line);
+        line = t;
+      } else {
+        line = line ? line + " " + t : t;
+      }
+    }
+    if (line) lines.push(line);
+    return lines.join("\n");
+  }
+
+  function exportPGN() {
+    const h = gameHeaders;
+    const computed = pgnResult();
+    const result = computed !== "*" ? computed : (h.Result || "*");
+
+    const tags = [
+      ["Event", h.Event || "?"],
+      ["Site", h.Site || "?"],
+      ["Date", h.Date || pgnDate(new Date())],
+      ["Round", h.Round || "?"],
+      ["White", h.White || "?"],
+      ["Black", h.Black || "?"],
+      ["Result", result]
+    ];
+    const roster = new Set(tags.map(t => t[0]).concat(["SetUp", "FEN"]));
+    for (const k in h) if (!roster.has(k)) tags.push([k, h[k]]);
+    if (root.fen !== START_FEN) tags.push(["SetUp", "1"], ["FEN", root.fen]);
+
+    const header = tags
+      .map(([k, v]) => `[${k} "${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"]`)
+      .join("\n");
+
+    const tokens = root.comment ? commentTokens(root.comment) : [];
+    if (root.next) lineTokens(root.next, plyOf(root.fen), tokens);
+    tokens.push(result);
+
+    return header + "\n\n" + wrap(tokens) + "\n";
+  }
+
+
+  /* ======================================================
+   * PGN / FEN IMPORT (pasted text, dropped file, URL params)
+   * ====================================================== */
+
+  function resetTree(fen, headers) {
+    root.fen = fen;
+    root.next = null;
+    root.vars = [];
+    root.comment = "";
+    root.castling = null;
+    gameHeaders = headers || {};
+    cursor = root;
+  }
+
+  // Comment text with its [%...] commands restored in front and its [D]
+  // marker kept in place
+  function importComment(node, before) {
+    const cmds = Object.keys(node.commands).map(k => `[%${k} ${node.commands[k]}]`);
+    const texts = window.PGNCore.commentSegments(node).map(t => (t === null ? "[D]" : t));
+    return [...cmds, ...before, ...texts].join(" ");
+  }
+
+  // PGNCore game tree -> app Node tree
+  function copyTree(src, dst) {
+    for (const c of [src.next, ...src.variations]) {
+      if (!c) continue;
+      const n = new Node(c.san, dst, c.fen);
+      n.comment = importComment(c, c.commentsBefore);
+      n.nags = c.nags.slice();
+      n.symbols = c.symbols.slice();
+      n.castling = c.castling;
+      if (!dst.next) dst.next = n;
+      else dst.vars.push(n);
+      copyTree(c, n);
+    }
+  }
+
+  // "White – Black" of each game in a PGN, for the import game picker
+  function gameLabels(txt) {
+    if (!window.PGNCore || chess.validate_fen(txt.trim()).valid) return [];
+    return window.PGNCore.splitGames(txt).map((g, i) => {
+      const tag = name => (g.match(new RegExp(`\\[${name}\\s+"([^"]*)"\\]`)) || [])[1] || "?";
+      return `${i + 1}. ${tag("White")} – ${tag("Black")}`;
+    });
+  }
+
+  // Loads game `index` of a PGN (or a FEN). { loaded, message }: message
+  // explains a failure, or the illegal move a partial import stopped at.
+  function importText(raw, index = 0) {
+    const txt = String(raw || "").trim();
+    if (!txt) return { loaded: false, message: "Nothing to import." };
+
+    let message = "";
+
+    if (chess.validate_fen(txt).valid) {
+      resetTree(txt, {});
+    } else {
+      if (!window.PGNCore) return { loaded: false, message: "PGN import is unavailable (PGNCore missing)." };
+
+      const games = window.PGNCore.parse(txt);
+      const game = games[index] || games[0];
+      if (game?.unsupported) return { loaded: false, message: game.unsupported };
+      if (!game || (!game.root.next && !game.headers.FEN)) return { loaded: false, message: "No moves or FEN found." };
+
+      const fenError = game.errors.find(e => e.type === "fen");
+      if (fenError) return { loaded: false, message: "Invalid FEN: " + fenError.value };
+
+      // Moves up to an illegal one are kept
+      const moveError = game.errors.find(e => e.type === "move");
+      if (moveError) {
+        const no = Math.ceil(moveError.ply / 2) + (moveError.ply % 2 ? "." : "...");
+        message = `Illegal move ${no} ${moveError.value}: loaded the moves before it.`;
+      }
+
+      resetTree(game.startFen, { ...game.headers, Result: game.result || game.headers.Result });
+      root.comment = importComment(game.root, []);
+      root.castling = game.root.castling;
+      copyTree(game.root, root);
+    }
+
+    rebuildTo(root, false);
+    render();
+    updateWidgetState();
+    return { loaded: true, message };
+  }
+
+
   /* ======================================================
    * NAVIGATION + KEYBOARD
    * ====================================================== */
@@ -276,6 +509,7 @@ document.addEventListener("DOMContentLoaded", () => {
     boardOrientation = boardOrientation === "white" ? "black" : "white";
     board.orientation(boardOrientation);
     localStorage.setItem("boardOrientation", boardOrientation);
+    drawMarks();
   };
 
 
@@ -319,6 +553,7 @@ document.addEventListener("DOMContentLoaded", () => {
       }, 3000);
     }
 
+    const impBtn = makeBtn("📥","Import PGN / FEN");
     const fenBtn = makeBtn("📋","Copy FEN");
     const pgnBtn = makeBtn("📄","Copy PGN");
     const comBtn = makeBtn("➕","Add comment");
@@ -331,7 +566,7 @@ document.addEventListener("DOMContentLoaded", () => {
     undoBtn.wrap.style.display= "none";
 
     widgetContainer.append(
-      fenBtn.wrap,pgnBtn.wrap,comBtn.wrap,
+      impBtn.wrap,fenBtn.wrap,pgnBtn.wrap,comBtn.wrap,
       proBtn.wrap,delBtn.wrap,undoBtn.wrap
     );
 
@@ -354,6 +589,57 @@ document.addEventListener("DOMContentLoaded", () => {
     const cBox = modal.querySelector("#jc-cmt");
     const cOk  = modal.querySelector("#jc-cmt-ok");
 
+    /* ---------- IMPORT MODAL ---------- */
+
+    const impModal = document.createElement("div");
+    impModal.style.cssText = modal.style.cssText;
+    impModal.innerHTML = `
+      <div style="background:#161a24;padding:16px;border-radius:12px;width:min(90vw,480px)">
+        <textarea id="jc-imp" placeholder="Paste PGN or FEN, or drop a .pgn file"
+          style="width:100%;min-height:160px"></textarea>
+        <select id="jc-imp-game" style="width:100%;margin-top:6px" hidden></select>
+        <div id="jc-imp-err" style="color:#ff8a80;margin-top:6px"></div>
+        <div style="text-align:right;margin-top:8px">
+          <button id="jc-imp-cancel">Cancel</button>
+          <button id="jc-imp-ok">Load</button>
+        </div>
+      </div>`;
+    document.body.appendChild(impModal);
+
+    const iBox = impModal.querySelector("#jc-imp");
+    const iErr = impModal.querySelector("#jc-imp-err");
+    const iGame = impModal.querySelector("#jc-imp-game");
+
+    // Several games in the text: choose which one to load
+    function updateGamePicker() {
+      const labels = gameLabels(iBox.value);
+      const keep = iGame.value;
+      iGame.textContent = "";
+      labels.forEach((label, i) => iGame.add(new Option(label, String(i))));
+      if (keep && +keep < labels.length) iGame.value = keep;
+      iGame.hidden = labels.length < 2;
+    }
+    iBox.addEventListener("input", updateGamePicker);
+
+    showImport = (txt, err) => {
+      iBox.value = txt || "";
+      iErr.textContent = err || "";
+      updateGamePicker();
+      impModal.style.display = "flex";
+    };
+
+    impBtn.b.onclick = () => showImport("", "");
+    impModal.querySelector("#jc-imp-cancel").onclick = () => { impModal.style.display = "none"; };
+    impModal.querySelector("#jc-imp-ok").onclick = () => {
+      const res = importText(iBox.value, iGame.hidden ? 0 : +iGame.value);
+      // A partial import stays open to show what was left out
+      iErr.textContent = res.message;
+      if (res.loaded && !res.message) {
+        impModal.style.display = "none";
+        showCheck(impBtn.check);
+      }
+    };
+
     let undoAction = null;
 
     function isVariation(n){ return n && n.parent && n.parent.next !== n; }
@@ -372,7 +658,7 @@ document.addEventListener("DOMContentLoaded", () => {
     };
 
     pgnBtn.b.onclick = () => {
-      navigator.clipboard.writeText(movesDiv.innerText.trim());
+      navigator.clipboard.writeText(exportPGN());
       showCheck(pgnBtn.check);
     };
 
@@ -429,4 +715,26 @@ document.addEventListener("DOMContentLoaded", () => {
   render();
   rebuildTo(root,false);
 
+  // Dropped files / ?pgn= links load their first game; the import dialog
+  // opens to pick another one or to show what went wrong
+  function loadExternal(txt) {
+    const res = importText(txt);
+    const count = gameLabels(String(txt || "")).length;
+    const more = count > 1 ? `Loaded game 1 of ${count}; pick another below.` : "";
+    const message = [res.message, more].filter(Boolean).join(" ");
+    if (message) showImport(txt, message);
+  }
+
+  document.addEventListener("dragover", e => e.preventDefault());
+  document.addEventListener("drop", e => {
+    const f = e.dataTransfer?.files?.[0];
+    if (!f) return;
+    e.preventDefault();
+    f.text().then(loadExternal);
+  });
+
+  const params = new URLSearchParams(location.search);
+  if (params.get("pgn")) loadExternal(params.get("pgn"));
+  else if (params.get("fen")) loadExternal(params.get("fen"));
+
 });
@@ -1 +1,134 @@
-!function(){"use strict";const e="https://chessboardjs.com/img/chesspieces/wikipedia/{piece}.png";let t=0;function n(){return"function"==typeof window.Chessboard}function r(r){if(r.__fenRendered)return;const o=r.textContent.trim();if(!o||!n())return;const i="fen-board-"+ ++t,c=document.createElement("div");c.className="fen-board",c.id=i,r.replaceWith(c);try{Chessboard(i,{position:o,draggable:!1,pieceTheme:e}),r.__fenRendered=!0}catch(e){}}function o(e=document){e.querySelectorAll("fen").forEach(r)}function i(){o();new MutationObserver(e=>{for(const t of e)t.addedNodes&&t.addedNodes.forEach(e=>{1===e.nodeType&&o(e)})}).observe(document.body,{childList:!0,subtree:!0}),window.FENRenderer=Object.freeze({run:e=>{o(e||document.body)}})}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",i,{once:!0}):i()}();
+// ============================================================================
+// fen.js — <fen> tags -> static SVG diagrams (PGNCore.renderBoardSVG)
+//
+// <fen orientation="black" size="300" caption="Find the win"
+//      highlight="e4 Rd5" arrows="g1f3 Rd8d1" show-turn coordinates="false"
+//      download="false">
+//   FEN
+// </fen>
+//
+// orientation: white (default) | black | auto (side to move at the bottom)
+// caption:     defaults to "White to move"/"Black to move" from the FEN;
+//              caption="" hides it
+// highlight/arrows: squares and from-to pairs, optional G/R/Y/B colour prefix
+// download:    SVG/PNG download links, on unless download="false"
+// pieces, board-theme: see PGNCore.pieceSet / board-themes.css
+// ============================================================================
+
+(function () {
+  "use strict";
+
+  let boardCounter = 0;
+
+  // "w" | "b" | null when the FEN is a bare piece placement
+  function sideToMove(fen) {
+    const side = fen.split(/\s+/)[1];
+    return side === "w" || side === "b" ? side : null;
+  }
+
+  // "e4 Rd5" -> "Ye4,Rd5" (the [%csl]/[%cal] syntax PGNCore.parseMarks reads)
+  function markList(value, color) {
+    return String(value || "")
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map((m) => (/^[GRYB]/.test(m) ? m : color + m))
+      .join(",");
+  }
+
+  function renderFen(el) {
+    if (el.__fenRendered) return;
+    const fen = el.textContent.trim();
+    if (!fen || !window.PGNCore) return;
+
+    const side = sideToMove(fen);
+    const attr = (name) => el.getAttribute(name);
+
+    let orientation = (attr("orientation") || "white").toLowerCase();
+    if (orientation === "auto") orientation = side === "b" ? "black" : "white";
+    if (orientation !== "black") orientation = "white";
+
+    const svg = PGNCore.renderBoardSVG(fen, {
+      orientation,
+      pieces: PGNCore.pieceSet(el),
+      coordinates: attr("coordinates") !== "false",
+      marks: PGNCore.parseMarks({
+        csl: markList(attr("highlight"), "Y"),
+        cal: markList(attr("arrows"), "G")
+      })
+    });
+    if (!svg) return;
+    el.__fenRendered = true;
+
+    const wrap = document.createElement("figure");
+    wrap.className = "fen-diagram";
+    PGNCore.applyBoardTheme(el, wrap);
+
+    const row = document.createElement("div");
+    row.className = "fen-board-row";
+    wrap.appendChild(row);
+
+    const id = "fen-board-" + ++boardCounter;
+    const boardDiv = document.createElement("div");
+    boardDiv.className = "fen-board";
+    boardDiv.id = id;
+    boardDiv.appendChild(svg);
+    row.appendChild(boardDiv);
+
+    const size = parseInt(attr("size"), 10);
+    if (size > 0) {
+      boardDiv.style.width = size + "px";
+      wrap.style.maxWidth = size + "px";
+    }
+
+    // Dot on the edge of the side to move
+    if (el.hasAttribute("show-turn") && side) {
+      const dot = document.createElement("span");
+      dot.className = "fen-turn fen-turn-" + (side === "w" ? "white" : "black") +
+        ((side === "w") === (orientation === "white") ? " fen-turn-bottom" : " fen-turn-top");
+      dot.title = side === "w" ? "White to move" : "Black to move";
+      row.appendChild(dot);
+    }
+
+    const caption = el.hasAttribute("caption")
+      ? attr("caption").trim()
+      : side ? (side === "w" ? "White to move" : "Black to move") : "";
+    if (caption) {
+      const cap = document.createElement("figcaption");
+      cap.className = "fen-caption";
+      cap.textContent = caption;
+      wrap.appendChild(cap);
+    }
+
+    if (attr("download") !== "false") wrap.appendChild(PGNCore.diagramDownloads(svg, "diagram-" + boardCounter));
+
+    el.replaceWith(wrap);
+  }
+
+  function renderAll(root = document) {
+    root.querySelectorAll("fen").forEach(renderFen);
+  }
+
+  function init() {
+    renderAll();
+
+    new MutationObserver((mutations) => {
+      for (const m of mutations) {
+        m.addedNodes && m.addedNodes.forEach((n) => {
+          if (n.nodeType === 1) renderAll(n);
+        });
+      }
+    }).observe(document.body, { childList: true, subtree: true });
+
+    window.FENRenderer = Object.freeze({
+      run: (root) => {
+        renderAll(root || document.body);
+      }
+    });
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init, { once: true });
+  } else {
+    init();
+  }
+})();
@@ -1 +1,105 @@
-!function(){"use strict";const e={K:"♔",Q:"♕",R:"♖",B:"♗",N:"♘"},t=/(?<![a-zA-Z0-9])(O-O-O|O-O|[KQRBN][a-h]?[1-8]?x?[a-h][1-8](?:=[QRBN])?[+#]?)(?![a-zA-Z0-9])/g,n=new Set(["SCRIPT","STYLE","CODE","PRE","TEXTAREA","INPUT","SELECT","OPTION","NOSCRIPT","A"]);function o(e){return/[KQRBN]|O-O/.test(e)}function r(n){if(n.__figurined)return;const r=n.nodeValue;if(!r||!o(r))return;const i=r.replace(t,t=>"O-O"===t||"O-O-O"===t?t:e[t.charAt(0)]?e[t.charAt(0)]+t.slice(1):t);i!==r&&(n.nodeValue=i,n.__figurined=!0)}function i(e){const t=e.parentNode;return!!(!t||n.has(t.nodeName)||t.closest&&t.closest("pgn")||t.closest&&t.closest("puzzle"))}function c(e){if(!e||1!==e.nodeType)return;const t=document.createTreeWalker(e,NodeFilter.SHOW_TEXT,{acceptNode:e=>i(e)?NodeFilter.FILTER_REJECT:NodeFilter.FILTER_ACCEPT});let n;for(;n=t.nextNode();)r(n)}function l(){c(document.body);new MutationObserver(e=>{for(const t of e)t.addedNodes&&t.addedNodes.forEach(e=>{1===e.nodeType&&c(e)})}).observe(document.body,{childList:!0,subtree:!0}),window.ChessFigurine=Object.freeze({run:e=>{c(e||document.body)}})}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",l,{once:!0}):l()}();
+// ============================================================================
+// figurine.js — inline notation in prose ("Nf3", "Sf3", "Şe2") shown in the
+// site's output style: figurines (default), English or local letters.
+// Piece letters and style come from PGNCore (notation_lang / notation in
+// _config.yml); without PGNCore, English letters become figurines.
+// ============================================================================
+
+(function () {
+  "use strict";
+
+  const FIGURINES = { K: "♔", Q: "♕", R: "♖", B: "♗", N: "♘" };
+
+  const SKIP = new Set([
+    "SCRIPT", "STYLE", "CODE", "PRE", "TEXTAREA", "INPUT", "SELECT", "OPTION", "NOSCRIPT", "A"
+  ]);
+
+  let lang = "en";
+  let letters = "KQRBN";
+  let moveRegex = null;
+
+  function escapeClass(s) {
+    return s.replace(/[\]\\^-]/g, "\\$&");
+  }
+
+  function setup() {
+    const C = window.PGNCore;
+    if (C) {
+      lang = C.notationLang();
+      letters = C.PIECE_LETTERS[lang];
+    }
+
+    const P = "[" + escapeClass(letters) + "]";
+    moveRegex = new RegExp(
+      "(?<![\\p{L}\\d])(O-O-O|O-O|" + P + "[a-h]?[1-8]?x?[a-h][1-8](?:=" + P + ")?[+#]?)(?![\\p{L}\\d])",
+      "gu"
+    );
+  }
+
+  function display(token) {
+    if (token === "O-O" || token === "O-O-O") return token;
+
+    const C = window.PGNCore;
+    if (C) return C.displaySAN(C.toEnglishSAN(token, lang));
+    return FIGURINES[token.charAt(0)] ? FIGURINES[token.charAt(0)] + token.slice(1) : token;
+  }
+
+  function convertText(node) {
+    if (node.__figurined) return;
+    const text = node.nodeValue;
+    if (!text) return;
+
+    moveRegex.lastIndex = 0;
+    if (!moveRegex.test(text)) return;
+
+    const out = text.replace(moveRegex, display);
+    if (out !== text) {
+      node.nodeValue = out;
+      node.__figurined = true;
+    }
+  }
+
+  // Moves the renderers already wrote in the output style are left alone
+  // (training rows use their own move classes); comments and tags are not
+  const RENDERED = "pgn, puzzle, .pgn-move, .move-preview, .pgn-move-white, .pgn-move-black";
+
+  function skipped(node) {
+    const parent = node.parentNode;
+    return !parent || SKIP.has(parent.nodeName) || !!(parent.closest && parent.closest(RENDERED));
+  }
+
+  function run(root) {
+    if (!root || root.nodeType !== 1) return;
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (n) => (skipped(n) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+    });
+    let node;
+    while ((node = walker.nextNode())) convertText(node);
+  }
+
+  function init() {
+    setup();
+    run(document.body);
+
+    new MutationObserver((mutations) => {
+      for (const m of mutations) {
+        m.addedNodes && m.addedNodes.forEach((n) => {
+          if (n.nodeType === 1) run(n);
+        });
+      }
+    }).observe(document.body, { childList: true, subtree: true });
+
+    window.ChessFigurine = Object.freeze({
+      run: (root) => {
+        run(root || document.body);
+      }
+    });
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init, { once: true });
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,318 @@
+// ============================================================================
+// move-preview.js — hover / tap previews for moves written in text
+// Inline moves in post prose ("10. Qxd4 Qxd4") and SAN inside PGN comments
+// ("as 11...Nbd7 looked more normal") pop up a small board with the position
+// after the move. The position before the moves comes from, in order:
+//   - a data-fen="..." ancestor (moves are played from it in order)
+//   - PGN comments: the commented line (numbered moves) or the move itself
+//   - prose: the nearest <pgn>/<pgn-reader> main line (numbered moves)
+//   - prose without a game: the moves written so far in the post
+// ============================================================================
+
+(function () {
+  "use strict";
+
+  if (typeof Chess !== "function" || !window.PGNCore) return;
+
+  const C = window.PGNCore;
+
+  const SKIP = new Set([
+    "SCRIPT", "STYLE", "CODE", "PRE", "TEXTAREA", "INPUT", "SELECT", "OPTION", "NOSCRIPT", "A", "BUTTON"
+  ]);
+
+  // Rendered moves, boards and training / puzzle widgets are not prose
+  const NOT_PROSE =
+    "pgn, pgn-reader, puzzle, .pgn-move, .move-preview, .move-preview-popup, " +
+    ".pgn-training-wrapper, .jc-puzzle-wrapper, .pgn-reader-left, .pgn-reader-games, " +
+    ".pgn-blog-block > h3, .pgn-reader-header";
+
+  const BLOCKS = ".pgn-blog-block, .pgn-reader-block";
+
+  let tokenRegex = null;
+
+  // Moves written in the post so far (prose without a nearby game)
+  let running = [{ fen: C.START_FEN, castling: null }];
+
+  // ---- Reading moves ---------------------------------------------------------
+
+  function buildRegex() {
+    const letters = "KQRBN" + C.PIECE_LETTERS[C.notationLang()] + "♔♕♖♗♘♚♛♜♝♞";
+    const P = "[" + letters.replace(/[\]\\^-]/g, "\\$&") + "]";
+    const move =
+      "O-O-O|O-O|0-0-0|0-0|" + P + "?[a-h]?[1-8]?x?[a-h][1-8](?:=" + P + ")?[+#]?";
+
+    // 1: move number, 2: dots, 3: move, 4: annotation suffix
+    tokenRegex = new RegExp(
+      "(?<![\\p{L}\\d.])(?:(\\d+)\\s*(\\.\\.\\.|…|\\.)\\s*)?(" + move + ")([!?‼⁇⁉⁈]*)(?![\\p{L}\\d])",
+      "gu"
+    );
+  }
+
+  // Runs of moves separated by nothing but spaces
+  function findRuns(text) {
+    const runs = [];
+    let run = null;
+    let lastEnd = -1;
+
+    tokenRegex.lastIndex = 0;
+    let m;
+    while ((m = tokenRegex.exec(text))) {
+      const token = {
+        number: m[1] ? +m[1] : null,
+        color: m[2] ? (m[2] === "." ? "w" : "b") : null,
+        san: m[3],
+        start: m.index + m[0].length - m[3].length - m[4].length,
+        end: m.index + m[0].length
+      };
+
+      if (!run || !/^\s*$/.test(text.slice(lastEnd, m.index))) {
+        run = [];
+        runs.push(run);
+      }
+      run.push(token);
+      lastEnd = token.end;
+    }
+
+    // Lone pawn moves without a number ("the pawn on e5") are squares
+    return runs.filter((r) => r.some((t) => t.number !== null || !/^[a-h]/.test(t.san)));
+  }
+
+  const fenNumber = (fen) => parseInt(fen.split(" ")[5], 10) || 1;
+  const fenSide = (fen) => fen.split(" ")[1];
+
+  // Root ... node ... end of the line through node
+  function lineThrough(node) {
+    const line = [];
+    for (let n = node; n; n = n.parent) line.unshift(n);
+    for (let n = node.next; n; n = n.next) line.push(n);
+    return line;
+  }
+
+  function blockGame(block) {
+    if (block.__pgnGame) return block.__pgnGame;
+    return block.__pgnReader ? block.__pgnReader.game : null;
+  }
+
+  // Nearest game block to el: the one before it, else the one after
+  function nearestGame(el) {
+    let before = null;
+    let after = null;
+    document.querySelectorAll(BLOCKS).forEach((b) => {
+      if (b.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING) before = b;
+      else if (!after) after = b;
+    });
+    const block = before || after;
+    return block ? blockGame(block) : null;
+  }
+
+  // Last rendered move before a comment
+  function commentedNode(block, textNode, game) {
+    let node = game.root;
+    block.querySelectorAll(".pgn-move").forEach((span) => {
+      if (span.__node && span.compareDocumentPosition(textNode) & Node.DOCUMENT_POSITION_FOLLOWING) {
+        node = span.__node;
+      }
+    });
+    return node;
+  }
+
+  // { positions, index } where the run starts, or null
+  function startOf(run, textNode) {
+    const parent = textNode.parentNode;
+    const first = run[0];
+    const find = (positions) => positions.findIndex(
+      (p) => fenNumber(p.fen) === first.number && fenSide(p.fen) === first.color
+    );
+
+    const fenEl = parent.closest("[data-fen]");
+    if (fenEl) return { positions: [{ fen: fenEl.dataset.fen, castling: null }], index: 0 };
+
+    const block = parent.closest(BLOCKS);
+    if (block) {
+      const game = blockGame(block);
+      if (!game) return null;
+      const node = commentedNode(block, textNode, game);
+      const positions = lineThrough(node);
+      const index = first.number === null ? positions.indexOf(node) : find(positions);
+      return index < 0 ? null : { positions, index };
+    }
+
+    if (first.number === null) return null;
+
+    const game = nearestGame(parent);
+    const positions = game ? lineThrough(game.root) : running;
+    const index = find(positions);
+    return index < 0 ? null : { positions, index };
+  }
+
+  // Tokens of the run that play legally, each with the position after it
+  function playRun(run, start) {
+    const played = [];
+    let pos = start.positions[start.index];
+
+    for (const token of run) {
+      const r = C.play(pos, C.readDisplaySAN(token.san));
+      if (!r) break;
+      played.push(Object.assign({ fen: r.fen, move: r.move }, token));
+      pos = { fen: r.fen, castling: r.castling };
+    }
+
+    if (start.positions === running && played.length) {
+      running.splice(start.index + 1, Infinity, ...played.map((t) => ({ fen: t.fen, castling: null })));
+    }
+    return played;
+  }
+
+  // ---- Marking moves ---------------------------------------------------------
+
+  function markText(textNode) {
+    const text = textNode.nodeValue;
+    if (!text || !/[a-h][1-8]|O-O|0-0/.test(text)) return;
+
+    const marks = [];
+    findRuns(text).forEach((run) => {
+      const start = startOf(run, textNode);
+      if (start) marks.push(...playRun(run, start));
+    });
+    if (!marks.length) return;
+
+    const frag = document.createDocumentFragment();
+    let at = 0;
+    marks.forEach((t) => {
+      if (t.start > at) frag.appendChild(document.createTextNode(text.slice(at, t.start)));
+
+      const span = document.createElement("span");
+      span.className = "move-preview";
+      span.tabIndex = 0;
+      span.textContent = text.slice(t.start, t.end);
+      span.__fen = t.fen;
+      span.__move = t.move;
+      frag.appendChild(span);
+      at = t.end;
+    });
+    if (at < text.length) frag.appendChild(document.createTextNode(text.slice(at)));
+
+    textNode.replaceWith(frag);
+  }
+
+  function skipped(node) {
+    const parent = node.parentNode;
+    return !parent || SKIP.has(parent.nodeName) || !!parent.closest(NOT_PROSE);
+  }
+
+  function scan(root) {
+    if (!root || root.nodeType !== 1 || root.closest(NOT_PROSE)) return;
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (n) => (skipped(n) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+    });
+    const nodes = [];
+    let n;
+    while ((n = walker.nextNode())) nodes.push(n);
+    nodes.forEach(markText);
+  }
+
+  // ---- Popup -----------------------------------------------------------------
+
+  let popup = null;
+  let shownFor = null;
+
+  function show(span) {
+    if (shownFor === span) return;
+    shownFor = span;
+
+    if (!popup) {
+      popup = document.createElement("div");
+      popup.className = "move-preview-popup";
+      popup.setAttribute("role", "tooltip");
+      document.body.appendChild(popup);
+    }
+
+    const m = span.__move;
+    const svg = C.renderBoardSVG(span.__fen, {
+      coordinates: false,
+      pieces: C.pieceSet(span.closest(BLOCKS)),
+      marks: {
+        arrows: [],
+        squares: [{ color: "Y", square: m.from }, { color: "Y", square: m.to }]
+      }
+    });
+    popup.textContent = "";
+    popup.appendChild(svg);
+    popup.hidden = false;
+
+    const r = span.getBoundingClientRect();
+    const w = popup.offsetWidth;
+    const h = popup.offsetHeight;
+    const left = Math.max(4, Math.min(r.left, window.innerWidth - w - 4));
+    const below = r.bottom + h + 6 <= window.innerHeight;
+    popup.style.left = left + window.scrollX + "px";
+    popup.style.top = (below ? r.bottom + 6 : r.top - h - 6) + window.scrollY + "px";
+  }
+
+  function hide() {
+    shownFor = null;
+    if (popup) popup.hidden = true;
+  }
+
+  function bindPopup() {
+    const target = (e) => e.target.closest && e.target.closest(".move-preview");
+
+    document.addEventListener("mouseover", (e) => {
+      const span = target(e);
+      if (span) show(span);
+    });
+    document.addEventListener("mouseout", (e) => {
+      if (target(e)) hide();
+    });
+    document.addEventListener("focusin", (e) => {
+      const span = target(e);
+      if (span) show(span);
+    });
+    document.addEventListener("focusout", (e) => {
+      if (target(e)) hide();
+    });
+
+    // Taps: show on the move, hide anywhere else
+    document.addEventListener("click", (e) => {
+      const span = target(e);
+      if (span) show(span);
+      else hide();
+    });
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") hide();
+    });
+  }
+
+  // ---- Init ------------------------------------------------------------------
+
+  function init() {
+    buildRegex();
+    bindPopup();
+
+    // After the renderers and figurine.js (mutation callbacks) have run
+    setTimeout(() => {
+      scan(document.body);
+
+      new MutationObserver((mutations) => {
+        for (const m of mutations) {
+          m.addedNodes && m.addedNodes.forEach((n) => {
+            if (n.nodeType === 1) scan(n);
+          });
+        }
+      }).observe(document.body, { childList: true, subtree: true });
+    }, 0);
+
+    window.MovePreview = Object.freeze({
+      run: (root) => {
+        scan(root || document.body);
+      }
+    });
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init, { once: true });
+  } else {
+    init();
+  }
+})();
@@ -1 +1,1422 @@
-!function(){"use strict";const e="undefined"!=typeof window?window:globalThis,t=e.PGNCore=e.PGNCore||{};t.PIECE_THEME_URL="https://chessboardjs.com/img/chesspieces/wikipedia/{piece}.png",t.SAN_CORE_REGEX=/^([O0]-[O0](-[O0])?[+#]?|[KQRBN]?[a-h]?[1-8]?x?[a-h][1-8](=[QRBN])?[+#]?|[a-h][1-8](=[QRBN])?[+#]?)$/,t.RESULT_REGEX=/^(1-0|0-1|1\/2-1\/2|½-½|\*)$/,t.MOVE_NUMBER_REGEX=/^(\d+)(\.+)$/,t.NBSP="\u00A0",t.NAG_MAP=Object.freeze({1:"!",2:"?",3:"‼",4:"⁇",5:"⁉",6:"⁈",13:"→",14:"↑",15:"⇆",16:"⇄",17:"⟂",18:"∞",19:"⟳",20:"⟲",36:"⩲",37:"⩱",38:"±",39:"∓",40:"+=",41:"=+",42:"±",43:"∓",44:"⨀",45:"⨁"}),t.EVAL_MAP=Object.freeze({"=":"=","+/=":"⩲","=/+":"⩱","+/-":"±","+/−":"±","-/+":"∓","−/+":"∓","+-":"+−","+−":"+−","-+":"−+","−+":"−+","∞":"∞","=/∞":"⯹"}),t.normalizeFigurines=function(e){return e?String(e).replace(/[♔♚]/g,"K").replace(/[♕♛]/g,"Q").replace(/[♖♜]/g,"R").replace(/[♗♝]/g,"B").replace(/[♘♞]/g,"N"):""},t.appendText=function(e,t){e&&t&&"undefined"!=typeof document&&document.createTextNode&&e.appendChild(document.createTextNode(String(t)))},t.normalizeResult=function(e){return e?String(e).replace(/1\/2-1\/2/g,"½-½"):""},t.extractYear=function(e){if(!e)return"";const t=String(e).split(".");return/^\d{4}$/.test(t[0])?t[0]:""},t.flipName=function(e){if(!e)return"";const t=String(e).trim(),n=t.indexOf(",");return-1===n?t:t.slice(n+1).trim()+" "+t.slice(0,n).trim()},t.makeCastlingUnbreakable=function(e){if(!e)return"";const t=String(e);return t.replace(/0-0-0|O-O-O/g,e=>e[0]+"\u2011"+e[2]+"\u2011"+e[4]).replace(/0-0|O-O/g,e=>e[0]+"\u2011"+e[2])};try{Object.freeze(t)}catch(e){}}();
\ No newline at end of file
+// ============================================================================
+// pgn-core.js — Shared PGN library for all JekyllChess renderers
+// Parses PGN text (tag pairs, movetext, nested variations, comments, NAGs,
+// [%...] commands, [D] markers, results) into one game tree, so pgn.js,
+// pgn-reader.js, pgn-training.js and puzzle-engine.js agree on edge cases.
+// Requires chess.js (global Chess) for move legality and positions; also
+// draws static SVG diagrams for fen.js and pgn.js.
+// ============================================================================
+
+(function () {
+  "use strict";
+
+  const G = typeof window !== "undefined" ? window : globalThis;
+  const C = (G.PGNCore = G.PGNCore || {});
+
+  // --------------------------------------------------------------------------
+  // Constants
+  // --------------------------------------------------------------------------
+
+  // assets/ next to this script, so app.html (absolute URLs) finds it too
+  const ASSETS_URL =
+    typeof document !== "undefined" && document.currentScript && document.currentScript.src
+      ? document.currentScript.src.replace(/js\/pgn-core\.js(\?.*)?$/, "")
+      : "/assets/";
+
+  // Piece sets bundled under assets/img/chesspieces/<name>/ (see LICENSE.md
+  // there) and board colour themes (board-themes.css); the first is the default
+  C.PIECE_SETS = Object.freeze(["wikipedia"]);
+  C.BOARD_THEMES = Object.freeze(["brown", "green", "blue", "dark"]);
+  C.PIECE_THEME_URL = ASSETS_URL + "img/chesspieces/wikipedia/{piece}.png";
+  C.START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+  C.SAN_CORE_REGEX =
+    /^([O0]-[O0](-[O0])?[+#]?|[KQRBN]?[a-h]?[1-8]?x?[a-h][1-8](=[QRBN])?[+#]?|[a-h][1-8](=[QRBN])?[+#]?)$/;
+  C.RESULT_REGEX = /^(1-0|0-1|1\/2-1\/2|½-½|\*)$/;
+  C.MOVE_NUMBER_REGEX = /^(\d+)(\.+)$/;
+  C.NBSP = "\u00A0";
+
+  C.NAG_MAP = Object.freeze({
+    1: "!", 2: "?", 3: "‼", 4: "⁇", 5: "⁉", 6: "⁈",
+    13: "→", 14: "↑", 15: "⇆", 16: "⇄", 17: "⟂", 18: "∞", 19: "⟳", 20: "⟲",
+    36: "⩲", 37: "⩱", 38: "±", 39: "∓", 40: "+=", 41: "=+", 42: "±", 43: "∓",
+    44: "⨀", 45: "⨁"
+  });
+
+  // Textual evaluation symbols as typed by authors
+  C.EVAL_MAP = Object.freeze({
+    "=": "=", "+/=": "⩲", "=/+": "⩱", "+/-": "±", "+/−": "±", "-/+": "∓", "−/+": "∓",
+    "+-": "+−", "+−": "+−", "-+": "−+", "−+": "−+", "∞": "∞", "=/∞": "⯹"
+  });
+
+  const EVAL_SYMBOLS = new Set(Object.values(C.EVAL_MAP));
+
+  // Move-quality suffixes as written -> NAG code ($1..$6)
+  const SUFFIX_NAGS = {
+    "!": 1, "?": 2, "!!": 3, "??": 4, "!?": 5, "?!": 6,
+    "‼": 3, "⁇": 4, "⁉": 5, "⁈": 6
+  };
+
+  // --------------------------------------------------------------------------
+  // Text helpers
+  // --------------------------------------------------------------------------
+
+  C.normalizeFigurines = function (s) {
+    if (!s) return "";
+    return String(s)
+      .replace(/[♔♚]/g, "K")
+      .replace(/[♕♛]/g, "Q")
+      .replace(/[♖♜]/g, "R")
+      .replace(/[♗♝]/g, "B")
+      .replace(/[♘♞]/g, "N");
+  };
+
+  // --------------------------------------------------------------------------
+  // Piece letters: localized input + site-wide output style
+  // <body data-notation-lang="de" data-notation="local"> (from _config.yml),
+  // notation-lang="en" on an element for a PGN written in English
+  // --------------------------------------------------------------------------
+
+  // King, queen, rook, bishop, knight per language
+  C.PIECE_LETTERS = Object.freeze({
+    en: "KQRBN",
+    de: "KDTLS",
+    tr: "ŞVKFA",
+    fr: "RDTFC",
+    es: "RDTAC",
+    nl: "KDTLP"
+  });
+  C.NOTATION_STYLES = Object.freeze(["figurines", "english", "local"]);
+
+  const FIGURINE_LETTERS = "♔♕♖♗♘";
+
+  C.notationLang = function (el) {
+    const own = el && el.getAttribute && el.getAttribute("notation-lang");
+    const lang = own || (document.body && document.body.dataset.notationLang);
+    return C.PIECE_LETTERS[lang] ? lang : "en";
+  };
+
+  C.notationStyle = function () {
+    const style = document.body && document.body.dataset.notation;
+    return C.NOTATION_STYLES.includes(style) ? style : "figurines";
+  };
+
+  // Local SAN ("Sf3", "e8=D") -> English; letters that are not local pass
+  // through, so English PGN still reads unless the letters clash (tr, fr)
+  C.toEnglishSAN = function (san, lang) {
+    const letters = C.PIECE_LETTERS[lang];
+    if (!letters || lang === "en") return san;
+
+    const english = (ch) => {
+      const i = letters.indexOf(ch);
+      return i < 0 ? ch : "KQRBN"[i];
+    };
+    return String(san)
+      .replace(/^(\S)(?=[a-h1-8x])/u, (ch) => english(ch))
+      .replace(/=(\S)/u, (m, ch) => "=" + english(ch));
+  };
+
+  // English SAN -> the site's output style (figurines, English or local)
+  C.displaySAN = function (san, style, lang) {
+    style = style || C.notationStyle();
+    if (style === "english") return san;
+
+    const to = style === "local" ? C.PIECE_LETTERS[lang || C.notationLang()] : FIGURINE_LETTERS;
+    return String(san).replace(/^([KQRBN])|=([QRBN])/g, (m, lead, promo) =>
+      lead ? to["KQRBN".indexOf(lead)] : "=" + to["KQRBN".indexOf(promo)]
+    );
+  };
+
+  // Move text as shown on the page (figurines, English or local) -> English
+  C.readDisplaySAN = function (text) {
+    const s = C.normalizeFigurines(text);
+    return C.notationStyle() === "local" ? C.toEnglishSAN(s, C.notationLang()) : s;
+  };
+
+  C.appendText = function (el, txt) {
+    if (!el || !txt || typeof document === "undefined" || !document.createTextNode) return;
+    el.appendChild(document.createTextNode(String(txt)));
+  };
+
+  // Display form of a result token ("1/2-1/2" -> "½-½")
+  C.normalizeResult = function (r) {
+    if (!r) return "";
+    return String(r).replace(/1\/2-1\/2/g, "½-½");
+  };
+
+  C.extractYear = function (date) {
+    if (!date) return "";
+    const y = String(date).split(".")[0];
+    return /^\d{4}$/.test(y) ? y : "";
+  };
+
+  // "Carlsen, Magnus" -> "Magnus Carlsen"
+  C.flipName = function (name) {
+    if (!name) return "";
+    const s = String(name).trim();
+    const i = s.indexOf(",");
+    return i === -1 ? s : s.slice(i + 1).trim() + " " + s.slice(0, i).trim();
+  };
+
+  C.makeCastlingUnbreakable = function (s) {
+    if (!s) return "";
+    return String(s)
+      .replace(/0-0-0|O-O-O/g, (m) => m[0] + "\u2011" + m[2] + "\u2011" + m[4])
+      .replace(/0-0|O-O/g, (m) => m[0] + "\u2011" + m[2]);
+  };
+
+  C.nagGlyph = function (code) {
+    return C.NAG_MAP[code] || "";
+  };
+
+  // node.comments with null where the [D] board goes (see node.diagramAt)
+  C.commentSegments = function (node, withDiagram = node.diagram) {
+    const out = node.comments.slice();
+    if (withDiagram) {
+      const at = node.diagramAt == null ? out.length : Math.min(node.diagramAt, out.length);
+      out.splice(at, 0, null);
+    }
+    return out;
+  };
+
+  // SAN plus move-quality suffix: as written ("?!"), else the glyph of a
+  // $1..$6 NAG — other NAGs and eval symbols are rendered apart
+  C.formatMove = function (node) {
+    if (!node || !node.san) return "";
+    const suffix = node.suffix || node.nags.filter((n) => n >= 1 && n <= 6).map(C.nagGlyph).join("");
+    return node.san + suffix;
+  };
+
+  // "12." for White, "12..." for Black
+  C.moveNumberText = function (node) {
+    return node.moveNumber + (node.color === "w" ? "." : "...");
+  };
+
+  // --------------------------------------------------------------------------
+  // Tag pairs + game splitting
+  // --------------------------------------------------------------------------
+
+  const TAG_LINE_REGEX = /^\s*\[\s*[A-Za-z0-9_]+\s+"(?:[^"\\]|\\.)*"\s*\]/;
+
+  function unescapeTag(v) {
+    return v.replace(/\\(["\\])/g, "$1");
+  }
+
+  // Splits tag-pair section from movetext; tolerates several tags on one line
+  function splitHeaders(text) {
+    const s = String(text || "").replace(/^\uFEFF/, "");
+    const re = /\s*\[\s*([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]/y;
+    const headers = {};
+    let end = 0;
+    let m;
+    while ((m = re.exec(s))) {
+      headers[m[1]] = unescapeTag(m[2]);
+      end = re.lastIndex;
+    }
+    return { headers, movetext: s.slice(end) };
+  }
+
+  C.parseHeaders = function (text) {
+    return splitHeaders(text).headers;
+  };
+
+  // One PGN file -> one string per game (a new tag section starts a new game)
+  C.splitGames = function (text) {
+    const lines = String(text || "").replace(/\r/g, "").split("\n");
+    const games = [];
+    let cur = [];
+    let inMoves = false;
+
+    for (const line of lines) {
+      const isTag = TAG_LINE_REGEX.test(line);
+      if (isTag && inMoves) {
+        games.push(cur.join("\n"));
+        cur = [];
+        inMoves = false;
+      }
+      if (!isTag && line.trim()) inMoves = true;
+      cur.push(line);
+    }
+    games.push(cur.join("\n"));
+
+    return games.map((g) => g.trim()).filter(Boolean);
+  };
+
+  // --------------------------------------------------------------------------
+  // Comment commands: { [%eval 0.13] [%clk 1:30:57] [%cal Gf1d3] [D] text }
+  // --------------------------------------------------------------------------
+
+  C.parseCommands = function (raw) {
+    const commands = {};
+
+    let text = String(raw || "").replace(/\[%\s*(\w+)\s*([^\]]*)\]/g, (_, name, value) => {
+      const v = value.trim();
+      commands[name] = name in commands && v ? commands[name] + "," + v : v;
+      return " ";
+    });
+
+    // Text before / after each [D], so the board keeps its place
+    const segments = text.split(/\[D\]/).map((t) => t.replace(/\s+/g, " ").trim());
+    const diagram = segments.length > 1;
+
+    return { text: segments.filter(Boolean).join(" "), segments, commands, diagram };
+  };
+
+  // "0.13" -> { pawns: 0.13, mate: null }, "#-10" -> { pawns: null, mate: -10 }
+  // (White's point of view; a trailing ",depth" is ignored). null if unreadable.
+  C.parseEval = function (value) {
+    const v = String(value == null ? "" : value).split(",")[0].trim();
+    let m = /^#\s*([+-]?\d+)$/.exec(v);
+    if (m) return { pawns: null, mate: parseInt(m[1], 10) };
+    m = /^[+-]?(\d+\.?\d*|\.\d+)$/.exec(v);
+    return m ? { pawns: parseFloat(v), mate: null } : null;
+  };
+
+  // "1:30:57" / "0:05:48.3" / "5:48" -> seconds, null if unreadable
+  C.parseClock = function (value) {
+    const m = /^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/.exec(String(value == null ? "" : value).trim());
+    if (!m) return null;
+    return (parseInt(m[1] || "0", 10) * 60 + parseInt(m[2], 10)) * 60 + parseFloat(m[3]);
+  };
+
+  // --------------------------------------------------------------------------
+  // Tokenizer
+  // Token types: comment, open, close, nag, number, move, result, diagram, text
+  // --------------------------------------------------------------------------
+
+  // lang: piece letters of the movetext (C.PIECE_LETTERS key, default "en")
+  C.tokenize = function (movetext, lang) {
+    const s = C.normalizeFigurines(movetext);
+    const out = [];
+    let i = 0;
+
+    while (i < s.length) {
+      const ch = s[i];
+
+      if (/\s/.test(ch)) { i++; continue; }
+
+      // "%" escape lines
+      if (ch === "%" && (i === 0 || s[i - 1] === "\n")) {
+        while (i < s.length && s[i] !== "\n") i++;
+        continue;
+      }
+
+      if (ch === "{") {
+        let j = s.indexOf("}", i + 1);
+        if (j === -1) j = s.length;
+        out.push({ type: "comment", value: s.slice(i + 1, j) });
+        i = j + 1;
+        continue;
+      }
+
+      if (ch === ";") {
+        let j = s.indexOf("\n", i + 1);
+        if (j === -1) j = s.length;
+        out.push({ type: "comment", value: s.slice(i + 1, j) });
+        i = j;
+        continue;
+      }
+
+      if (ch === "(") { out.push({ type: "open" }); i++; continue; }
+      if (ch === ")") { out.push({ type: "close" }); i++; continue; }
+
+      // [D] markers and stray [%cmd] outside braces
+      if (ch === "[") {
+        let j = s.indexOf("]", i + 1);
+        if (j === -1) j = s.length - 1;
+        const body = s.slice(i, j + 1);
+        if (body === "[D]") out.push({ type: "diagram" });
+        else if (/^\[%/.test(body)) out.push({ type: "comment", value: body });
+        else out.push({ type: "text", value: body });
+        i = j + 1;
+        continue;
+      }
+
+      if (ch === "$") {
+        let j = i + 1;
+        while (j < s.length && /\d/.test(s[j])) j++;
+        const code = +s.slice(i + 1, j);
+        if (j > i + 1) out.push({ type: "nag", value: code });
+        i = j;
+        continue;
+      }
+
+      const start = i;
+      while (i < s.length && !/\s/.test(s[i]) && !"(){};[".includes(s[i])) i++;
+      pushWord(out, s.slice(start, i), lang);
+    }
+
+    return out;
+  };
+
+  function pushWord(out, word, lang) {
+    if (!word) return;
+
+    if (C.RESULT_REGEX.test(word)) {
+      out.push({ type: "result", value: word === "½-½" ? "1/2-1/2" : word });
+      return;
+    }
+
+    // "12." / "12..." / "12.e4" / "12...Nf6"
+    const num = word.match(/^(\d+)(\.+)(.*)$/);
+    if (num) {
+      out.push({ type: "number", value: +num[1] });
+      pushWord(out, num[3], lang);
+      return;
+    }
+
+    if (SUFFIX_NAGS[word]) {
+      out.push({ type: "nag", value: SUFFIX_NAGS[word], text: word });
+      return;
+    }
+
+    // Textual evaluations ("+/=", "±") are kept as symbols, not NAG codes
+    if (C.EVAL_MAP[word] || EVAL_SYMBOLS.has(word)) {
+      out.push({ type: "symbol", value: C.EVAL_MAP[word] || word });
+      return;
+    }
+
+    const m = word.match(/^(.*?)([!?‼⁇⁉⁈]*)$/);
+    const core = C.toEnglishSAN(m[1].replace(/0/g, "O"), lang);
+    if (core && C.SAN_CORE_REGEX.test(core)) {
+      out.push({ type: "move", value: core.replace(/[+#]$/, "") });
+      if (SUFFIX_NAGS[m[2]]) out.push({ type: "nag", value: SUFFIX_NAGS[m[2]], text: m[2] });
+      return;
+    }
+
+    out.push({ type: "text", value: word });
+  }
+
+  // --------------------------------------------------------------------------
+  // Variants ([Variant] tag)
+  // "Standard" and "From Position" use chess.js as is. Chess960 keeps its
+  // castling rights as rook files ({ w: { k: "h", q: "a" }, b: {...} }) and
+  // castles itself; chess.js only ever sees those positions without rights.
+  // --------------------------------------------------------------------------
+
+  const VARIANTS = {
+    "": "standard", standard: "standard", fromposition: "standard",
+    chess960: "chess960", "960": "chess960", fischerandom: "chess960", fischerrandom: "chess960"
+  };
+
+  // "standard" | "chess960" | null (unsupported)
+  C.variantOf = function (headers) {
+    const key = String((headers && headers.Variant) || "").toLowerCase().replace(/[\s_-]/g, "");
+    return VARIANTS[key] || null;
+  };
+
+  const FILES = "abcdefgh";
+
+  // Placement field <-> { e1: "K", ... }
+  function readBoard(placement) {
+    const board = {};
+    placement.split("/").forEach((row, i) => {
+      let f = 0;
+      for (const ch of row) {
+        if (/\d/.test(ch)) f += parseInt(ch, 10);
+        else board[FILES[f++] + (8 - i)] = ch;
+      }
+    });
+    return board;
+  }
+
+  function writeBoard(board) {
+    const rows = [];
+    for (let r = 8; r >= 1; r--) {
+      let row = "", empty = 0;
+      for (const f of FILES) {
+        const p = board[f + r];
+        if (!p) { empty++; continue; }
+        row += (empty || "") + p;
+        empty = 0;
+      }
+      rows.push(row + (empty || ""));
+    }
+    return rows.join("/");
+  }
+
+  function findKing(board, color) {
+    const k = color === "w" ? "K" : "k";
+    return Object.keys(board).find((sq) => board[sq] === k) || null;
+  }
+
+  // Castling field (KQkq, Shredder "HAha" or X-FEN) -> rook files
+  function readCastling960(fen) {
+    const f = fen.split(" ");
+    const board = readBoard(f[0]);
+    const rights = { w: { k: null, q: null }, b: { k: null, q: null } };
+
+    for (const ch of f[2] === "-" ? "" : f[2]) {
+      const color = ch === ch.toUpperCase() ? "w" : "b";
+      const rank = color === "w" ? "1" : "8";
+      const rook = color === "w" ? "R" : "r";
+      const king = findKing(board, color);
+      if (!king || king[1] !== rank) continue;
+
+      const kf = FILES.indexOf(king[0]);
+      const c = ch.toLowerCase();
+      let file = -1;
+      if (c === "k") {
+        for (let i = 7; i > kf; i--) if (board[FILES[i] + rank] === rook) { file = i; break; }
+      } else if (c === "q") {
+        for (let i = 0; i < kf; i++) if (board[FILES[i] + rank] === rook) { file = i; break; }
+      } else {
+        file = FILES.indexOf(c);
+      }
+      if (file < 0 || file === kf || board[FILES[file] + rank] !== rook) continue;
+      rights[color][file > kf ? "k" : "q"] = FILES[file];
+    }
+    return rights;
+  }
+
+  // chess.js only accepts KQkq, which is what node.fen carries
+  function withCastling(fen, rights) {
+    const f = fen.split(" ");
+    f[2] = rights
+      ? (rights.w.k ? "K" : "") + (rights.w.q ? "Q" : "") + (rights.b.k ? "k" : "") + (rights.b.q ? "q" : "") || "-"
+      : "-";
+    return f.join(" ");
+  }
+
+  function copyRights(r) {
+    return { w: { k: r.w.k, q: r.w.q }, b: { k: r.b.k, q: r.b.q } };
+  }
+
+  // Squares from a to b on one rank, both included
+  function rankSpan(a, b) {
+    const lo = Math.min(FILES.indexOf(a[0]), FILES.indexOf(b[0]));
+    const hi = Math.max(FILES.indexOf(a[0]), FILES.indexOf(b[0]));
+    const out = [];
+    for (let i = lo; i <= hi; i++) out.push(FILES[i] + a[1]);
+    return out;
+  }
+
+  // Castling side asked for by a SAN string or a { from, to } drag, else null.
+  // Dragging the king onto its own rook, or two files towards it, castles.
+  function castleSide(pos, move) {
+    if (typeof move === "string") {
+      const m = /^[O0]-[O0](-[O0])?/.exec(move.trim());
+      return m ? (m[1] ? "q" : "k") : null;
+    }
+
+    const us = pos.fen.split(" ")[1];
+    const board = readBoard(pos.fen.split(" ")[0]);
+    if (!move || board[move.from] !== (us === "w" ? "K" : "k") || move.from[1] !== move.to[1]) return null;
+
+    for (const side of ["k", "q"]) {
+      const file = pos.castling[us][side];
+      if (!file) continue;
+      if (move.to === file + move.from[1]) return side;
+      const dest = (side === "k" ? "g" : "c") + move.from[1];
+      if (move.to === dest && Math.abs(FILES.indexOf(dest[0]) - FILES.indexOf(move.from[0])) > 1) return side;
+    }
+    return null;
+  }
+
+  function castle960(pos, side) {
+    const f = pos.fen.split(" ");
+    const us = f[1];
+    const rank = us === "w" ? "1" : "8";
+    const rookFile = pos.castling[us][side];
+    const board = readBoard(f[0]);
+    const kingSq = findKing(board, us);
+    if (!rookFile || !kingSq || kingSq[1] !== rank) return null;
+
+    const rookSq = rookFile + rank;
+    const kingTo = (side === "k" ? "g" : "c") + rank;
+    const rookTo = (side === "k" ? "f" : "d") + rank;
+    if (board[rookSq] !== (us === "w" ? "R" : "r")) return null;
+
+    // Both paths must be empty apart from the king and rook themselves
+    const path = rankSpan(kingSq, kingTo).concat(rankSpan(rookSq, rookTo));
+    if (path.some((sq) => sq !== kingSq && sq !== rookSq && board[sq])) return null;
+
+    // The king may not start in, pass through or land on an attacked square
+    const without = Object.assign({}, board);
+    delete without[kingSq];
+    delete without[rookSq];
+    const attacked = rankSpan(kingSq, kingTo).some((sq) => {
+      const probe = Object.assign({}, without, { [sq]: board[kingSq] });
+      return new Chess([writeBoard(probe), us, "-", "-", "0", "1"].join(" ")).in_check();
+    });
+    if (attacked) return null;
+
+    const after = Object.assign({}, without, { [kingTo]: board[kingSq], [rookTo]: board[rookSq] });
+    const castling = copyRights(pos.castling);
+    castling[us] = { k: null, q: null };
+
+    const full = parseInt(f[5], 10) || 1;
+    const fen = [
+      writeBoard(after), us === "w" ? "b" : "w", "-", "-",
+      (parseInt(f[4], 10) || 0) + 1, us === "b" ? full + 1 : full
+    ].join(" ");
+
+    const check = new Chess(fen);
+    const san = (side === "k" ? "O-O" : "O-O-O") + (check.in_checkmate() ? "#" : check.in_check() ? "+" : "");
+
+    return {
+      move: { color: us, from: kingSq, to: kingTo, rook: rookSq, piece: "k", flags: side, san },
+      fen: withCastling(fen, castling),
+      castling
+    };
+  }
+
+  /**
+   * Plays one move on pos = { fen, castling } and returns
+   * { move, fen, castling }, or null when the move is illegal.
+   * move is SAN or { from, to, promotion }; pos.castling is null outside Chess960.
+   */
+  C.play = function (pos, move) {
+    if (!pos.castling) {
+      const chess = new Chess(pos.fen);
+      const mv = chess.move(move, { sloppy: true });
+      return mv ? { move: mv, fen: chess.fen(), castling: null } : null;
+    }
+
+    const side = castleSide(pos, move);
+    if (side) return castle960(pos, side);
+
+    const chess = new Chess(withCastling(pos.fen, null));
+    const mv = chess.move(move, { sloppy: true });
+    if (!mv) return null;
+
+    // Moving the king, or moving / capturing a castling rook, drops rights
+    const castling = copyRights(pos.castling);
+    if (mv.piece === "k") castling[mv.color] = { k: null, q: null };
+    ["w", "b"].forEach((c) => {
+      const rank = c === "w" ? "1" : "8";
+      ["k", "q"].forEach((side) => {
+        const sq = castling[c][side] && castling[c][side] + rank;
+        if (sq === mv.from || sq === mv.to) castling[c][side] = null;
+      });
+    });
+
+    return { move: mv, fen: withCastling(chess.fen(), castling), castling };
+  };
+
+  // FEN of a node (or the root) for a chess.js of its own: Chess960 positions
+  // go without castling rights, as their KQkq field is not chess.js castling
+  C.chessFen = function (node) {
+    return node.castling ? withCastling(node.fen, null) : node.fen;
+  };
+
+  // --------------------------------------------------------------------------
+  // Game tree
+  //   node.next        main continuation
+  //   node.variations  alternatives to node.next (each the first move of a line)
+  //   node.suffix      move-quality suffix as written ("?!"); node.nags has its code
+  //   node.symbols     textual evaluations after the move ("⩲", "+−")
+  //   node.diagramAt   [D] position among node.comments (null: after them)
+  // --------------------------------------------------------------------------
+
+  function createNode(parent, move, fen, ply) {
+    return {
+      parent,
+      san: move ? move.san : null,
+      move: move || null,
+      fen,
+      ply,
+      color: ply % 2 === 1 ? "w" : "b",
+      moveNumber: Math.ceil(ply / 2),
+      nags: [],
+      suffix: "",
+      symbols: [],
+      comments: [],
+      commentsBefore: [],
+      commands: {},
+      diagram: false,
+      diagramAt: null,
+      castling: null,
+      next: null,
+      variations: []
+    };
+  }
+
+  function rootPly(fen) {
+    const f = String(fen).split(/\s+/);
+    const full = Math.max(1, parseInt(f[5], 10) || 1);
+    return (full - 1) * 2 + (f[1] === "b" ? 1 : 0);
+  }
+
+  function mergeCommands(node, commands) {
+    for (const k in commands) {
+      node.commands[k] = node.commands[k] && commands[k]
+        ? node.commands[k] + "," + commands[k]
+        : commands[k];
+    }
+  }
+
+  function resolveStartFen(headers, opts, errors, variant) {
+    let fen = headers.FEN && headers.SetUp !== "0" ? headers.FEN : opts.fen;
+    if (!fen || fen === "start") return C.START_FEN;
+
+    fen = String(fen).trim().replace(/\s+/g, " ");
+    if (fen.split(" ").length === 4) fen += " 0 1";
+
+    // Chess960 castling fields (e.g. Shredder "HAha") are checked by readCastling960
+    const check = new Chess().validate_fen(variant === "chess960" ? withCastling(fen, null) : fen);
+    if (!check.valid) {
+      errors.push({ type: "fen", value: fen, message: check.error });
+      return C.START_FEN;
+    }
+    return fen;
+  }
+
+  function buildTree(tokens, game) {
+
+    // frame.prev: node the next move follows; frame.owner: move a variation replaces
+    let frame = { prev: game.root, owner: null, moved: true, before: [] };
+    const stack = [];
+    let lastWasText = false;
+
+    function target() {
+      return frame.moved ? frame.prev : frame.owner;
+    }
+
+    function addComment(text) {
+      if (!text) return;
+      if (!frame.moved) frame.before.push(text);
+      else frame.prev.comments.push(text);
+    }
+
+    // [D]: the board goes after the comments the position has so far
+    function markDiagram() {
+      const t = target();
+      if (!t || t.diagram) return;
+      t.diagram = true;
+      if (frame.moved) t.diagramAt = t.comments.length;
+    }
+
+    // Loose words outside braces are collected into one comment
+    function addText(text) {
+      const list = frame.moved ? frame.prev.comments : frame.before;
+      if (lastWasText && list.length) list[list.length - 1] += " " + text;
+      else addComment(text);
+    }
+
+    for (const tok of tokens) {
+      let isText = tok.type === "text";
+
+      switch (tok.type) {
+        case "move": {
+          // After an illegal move the rest of its line is only text
+          isText = !!frame.broken;
+          if (frame.broken) {
+            addText(tok.value);
+            break;
+          }
+
+          const parent = frame.prev;
+          const played = C.play(parent, tok.value);
+          if (!played) {
+            game.errors.push({ type: "move", value: tok.value, ply: parent.ply + 1 });
+            addText(tok.value);
+            frame.broken = true;
+            isText = true;
+            break;
+          }
+
+          const node = createNode(parent, played.move, played.fen, parent.ply + 1);
+          node.castling = played.castling;
+          node.commentsBefore = frame.before;
+          frame.before = [];
+
+          if (!parent.next) parent.next = node;
+          else parent.variations.push(node);
+
+          frame.prev = node;
+          frame.moved = true;
+          break;
+        }
+
+        case "open": {
+          // A variation replaces the last move of the current line
+          stack.push(frame);
+          const broken = !!frame.broken;
+          if (frame.moved && frame.prev.parent) {
+            frame = { prev: frame.prev.parent, owner: frame.prev, moved: false, before: [], broken };
+          } else {
+            frame = { prev: frame.prev, owner: target(), moved: false, before: [], broken };
+          }
+          break;
+        }
+
+        case "close": {
+          if (!stack.length) break;
+          if (!frame.moved && frame.owner) frame.owner.comments.push(...frame.before);
+          frame = stack.pop();
+          break;
+        }
+
+        case "comment": {
+          const c = C.parseCommands(tok.value);
+          const t = target();
+          if (t) mergeCommands(t, c.commands);
+          c.segments.forEach((text, i) => {
+            if (i > 0) markDiagram();
+            addComment(text);
+          });
+          break;
+        }
+
+        case "diagram": {
+          markDiagram();
+          break;
+        }
+
+        case "nag": {
+          const t = target();
+          if (t && t.san) {
+            t.nags.push(tok.value);
+            if (tok.text) t.suffix += tok.text;
+          }
+          break;
+        }
+
+        case "symbol": {
+          const t = target();
+          if (t && t.san) t.symbols.push(tok.value);
+          break;
+        }
+
+        case "result": {
+          if (!stack.length) game.result = tok.value;
+          break;
+        }
+
+        case "text": {
+          addText(tok.value);
+          break;
+        }
+
+        default:
+          break;
+      }
+
+      lastWasText = isText;
+    }
+  }
+
+  /**
+   * Parses one game. `text` may be a full PGN or bare movetext.
+   * opts.fen: start position when the game has no [FEN] tag.
+   * opts.lang: piece letters of the movetext (default: the site's).
+   * game.unsupported holds a message for variants that cannot be played.
+   */
+  C.parseGame = function (text, opts) {
+    opts = opts || {};
+    if (typeof Chess !== "function") throw new Error("PGNCore: chess.js missing");
+
+    const { headers, movetext } = splitHeaders(C.normalizeFigurines(text));
+    const errors = [];
+    const variant = C.variantOf(headers);
+    let startFen = resolveStartFen(headers, opts, errors, variant);
+
+    const root = createNode(null, null, startFen, rootPly(startFen));
+    if (variant === "chess960") {
+      root.castling = readCastling960(startFen);
+      startFen = root.fen = withCastling(startFen, root.castling);
+    }
+
+    const game = {
+      headers,
+      variant: variant || headers.Variant,
+      unsupported: "",
+      startFen,
+      root,
+      result: "",
+      errors
+    };
+
+    if (variant) {
+      buildTree(C.tokenize(movetext, opts.lang || C.notationLang()), game);
+    } else {
+      game.unsupported =
+        'The "' + headers.Variant + '" variant is not supported (only Standard, From Position and Chess960).';
+      errors.push({ type: "variant", value: headers.Variant, message: game.unsupported });
+    }
+
+    if (!game.result) {
+      const r = String(headers.Result || "").trim();
+      game.result = C.RESULT_REGEX.test(r) ? r.replace("½-½", "1/2-1/2") : "";
+    }
+
+    return game;
+  };
+
+  // Every game in a (possibly multi-game) PGN file
+  C.parse = function (text, opts) {
+    return C.splitGames(text).map((g) => C.parseGame(g, opts));
+  };
+
+  C.mainline = function (game) {
+    const out = [];
+    let n = game && game.root ? game.root.next : null;
+    while (n) {
+      out.push(n);
+      n = n.next;
+    }
+    return out;
+  };
+
+  // --------------------------------------------------------------------------
+  // Remote PGN files (<pgn src>, <pgn-reader src>, <pgn-training src>)
+  // --------------------------------------------------------------------------
+
+  C.fetchPGN = function (url) {
+    return fetch(new URL(url, G.location.href).href, { cache: "no-store" }).then((res) => {
+      if (!res.ok) throw new Error("HTTP " + res.status);
+      return res.text();
+    });
+  };
+
+  /**
+   * Loads el's src into its text content. Shows a loading state meanwhile and
+   * an error state on failure. Resolves true when the element can be rendered.
+   */
+  C.loadSrc = function (el) {
+    const url = el.getAttribute("src");
+    if (el.__pgnSrcPromise) return el.__pgnSrcPromise;
+
+    const status = document.createElement("div");
+    status.className = "pgn-src-status pgn-src-loading";
+    status.textContent = "Loading PGN…";
+    el.textContent = "";
+    el.appendChild(status);
+
+    el.__pgnSrcPromise = C.fetchPGN(url).then(
+      (text) => {
+        el.textContent = text;
+        return true;
+      },
+      (err) => {
+        status.className = "pgn-src-status pgn-src-error";
+        status.textContent = "❌ Could not load " + url + " (" + err.message + ")";
+        return false;
+      }
+    );
+
+    return el.__pgnSrcPromise;
+  };
+
+  /**
+   * Shows a rendering failure in place of the block: in el while it is still
+   * on the page, else in the wrapper that replaced it (el.__pgnWrapper).
+   */
+  C.showError = function (el, err) {
+    const host = el.isConnected ? el : el.__pgnWrapper;
+    if (!host) return;
+
+    const status = document.createElement("div");
+    status.className = "pgn-src-status pgn-src-error";
+    status.textContent = "❌ Could not show this PGN (" + ((err && err.message) || err) + ")";
+    host.textContent = "";
+    host.appendChild(status);
+  };
+
+  // --------------------------------------------------------------------------
+  // Board marks: [%cal Gf1d3,Re8e1] arrows and [%csl Gb4,Ya3] squares
+  // --------------------------------------------------------------------------
+
+  // Standard colour letters: Green, Red, Yellow, Blue
+  C.MARK_COLORS = Object.freeze({ G: "#15781b", R: "#882020", Y: "#e68f00", B: "#003088" });
+
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+  C.parseMarks = function (commands) {
+    const marks = { arrows: [], squares: [] };
+    const list = (v) => String(v || "").split(/[\s,]+/).filter(Boolean);
+
+    list(commands && commands.cal).forEach((m) => {
+      const x = /^([GRYB])([a-h][1-8])([a-h][1-8])$/.exec(m);
+      if (x && x[2] !== x[3]) marks.arrows.push({ color: x[1], from: x[2], to: x[3] });
+    });
+    list(commands && commands.csl).forEach((m) => {
+      const x = /^([GRYB])([a-h][1-8])$/.exec(m);
+      if (x) marks.squares.push({ color: x[1], square: x[2] });
+    });
+
+    return marks;
+  };
+
+  function svgEl(name, attrs) {
+    const el = document.createElementNS(SVG_NS, name);
+    for (const k in attrs) el.setAttribute(k, attrs[k]);
+    return el;
+  }
+
+  // Square centre in board units (viewBox 0 0 8 8)
+  function squareCenter(sq, orientation) {
+    const f = sq.charCodeAt(0) - 97;
+    const r = parseInt(sq[1], 10) - 1;
+    return orientation === "black"
+      ? { x: 7 - f + 0.5, y: r + 0.5 }
+      : { x: f + 0.5, y: 7 - r + 0.5 };
+  }
+
+  // Squares + arrows as one <g> in board units
+  function marksGroup(marks, orientation) {
+    const group = svgEl("g", {});
+
+    marks.squares.forEach((m) => {
+      const c = squareCenter(m.square, orientation);
+      group.appendChild(svgEl("rect", {
+        x: c.x - 0.5, y: c.y - 0.5, width: 1, height: 1,
+        fill: C.MARK_COLORS[m.color], opacity: 0.45
+      }));
+    });
+
+    marks.arrows.forEach((m) => {
+      const a = squareCenter(m.from, orientation);
+      const b = squareCenter(m.to, orientation);
+      const len = Math.hypot(b.x - a.x, b.y - a.y);
+      const ux = (b.x - a.x) / len;
+      const uy = (b.y - a.y) / len;
+      const head = 0.45;
+      const bx = b.x - ux * head;
+      const by = b.y - uy * head;
+      const color = C.MARK_COLORS[m.color];
+
+      const g = svgEl("g", { opacity: 0.8 });
+      g.appendChild(svgEl("line", {
+        x1: a.x, y1: a.y, x2: bx, y2: by,
+        stroke: color, "stroke-width": 0.16, "stroke-linecap": "round"
+      }));
+      g.appendChild(svgEl("polygon", {
+        points: [
+          b.x + "," + b.y,
+          bx - uy * 0.25 + "," + (by + ux * 0.25),
+          bx + uy * 0.25 + "," + (by - ux * 0.25)
+        ].join(" "),
+        fill: color
+      }));
+      group.appendChild(g);
+    });
+
+    return group;
+  }
+
+  function hasMarks(marks) {
+    return !!marks && (marks.arrows.length > 0 || marks.squares.length > 0);
+  }
+
+  /**
+   * Draws marks as an SVG overlay on a chessboard.js board inside boardEl,
+   * replacing the previous overlay. Call again after board.orientation(),
+   * which rebuilds the squares and drops the overlay.
+   */
+  C.drawMarks = function (boardEl, marks, orientation) {
+    const board = boardEl && boardEl.querySelector(".board-b72b1");
+    if (!board) return;
+
+    const old = board.querySelector(".pgn-marks");
+    if (old) old.remove();
+    if (!hasMarks(marks)) return;
+
+    const svg = svgEl("svg", { class: "pgn-marks", viewBox: "0 0 8 8", "aria-hidden": "true" });
+    svg.style.cssText =
+      "position:absolute;left:0;top:0;width:100%;height:100%;pointer-events:none;z-index:5";
+    board.style.position = "relative";
+
+    svg.appendChild(marksGroup(marks, orientation));
+    board.appendChild(svg);
+  };
+
+  // --------------------------------------------------------------------------
+  // Board look: <pgn-reader pieces="wikipedia" board-theme="dark">, site-wide
+  // defaults from _config.yml (pieces, board_theme) on <body>
+  // --------------------------------------------------------------------------
+
+  // Piece set named on the element itself (pieces="wikipedia" / data-pieces).
+  // Static SVG diagrams keep their vector pieces unless one is named there.
+  C.pieceSet = function (el) {
+    const name = el && el.getAttribute ? el.getAttribute("pieces") || el.dataset.pieces : null;
+    return C.PIECE_SETS.includes(name) ? name : null;
+  };
+
+  // chessboard.js pieceTheme for the element: its own set, else that of a
+  // data-pieces ancestor or the site default on <body>
+  C.pieceTheme = function (el) {
+    const named = el && el.closest ? el.closest("[pieces], [data-pieces]") : null;
+    const name = C.pieceSet(named || document.body) || C.PIECE_SETS[0];
+    return ASSETS_URL + "img/chesspieces/" + name + "/{piece}.png";
+  };
+
+  // board-theme="dark" on the source element -> class on its replacement
+  C.applyBoardTheme = function (src, target) {
+    const theme = src && src.getAttribute("board-theme");
+    if (C.BOARD_THEMES.includes(theme)) target.classList.add("board-theme-" + theme);
+  };
+
+  // --------------------------------------------------------------------------
+  // SVG diagrams: static boards without chessboard.js, jQuery or piece images
+  // --------------------------------------------------------------------------
+
+  C.BOARD_COLORS = Object.freeze({ light: "#f0d9b5", dark: "#b58863" });
+
+  // Cburnett's pieces from Wikimedia Commons (en.wikipedia User:Cburnett,
+  // BSD / GPL / GFDL / CC BY-SA 3.0; chessboard.js's "wikipedia" set is drawn
+  // from them) on a 45-unit square. Paths list what differs from PIECE_STYLE.
+  const PIECE_STYLE = {
+    stroke: "#000", "stroke-width": 1.5, "stroke-linecap": "round", "stroke-linejoin": "round", "fill-rule": "evenodd"
+  };
+  const PIECE_PATHS = {
+    wK: [
+      { fill: "none", "stroke-linejoin": "miter", d: "M 22.5,11.63 L 22.5,6" },
+      { fill: "none", "stroke-linejoin": "miter", d: "M 20,8 L 25,8" },
+      { fill: "#fff", "stroke-linecap": "butt", "stroke-linejoin": "miter", d: "M 22.5,25 C 22.5,25 27,17.5 25.5,14.5 C 25.5,14.5 24.5,12 22.5,12 C 20.5,12 19.5,14.5 19.5,14.5 C 18,17.5 22.5,25 22.5,25" },
+      { fill: "#fff", d: "M 12.5,37 C 18,40.5 27,40.5 32.5,37 L 32.5,30 C 32.5,30 41.5,25.5 38.5,19.5 C 34.5,13 25,16 22.5,23.5 L 22.5,27 L 22.5,23.5 C 20,16 10.5,13 6.5,19.5 C 3.5,25.5 12.5,30 12.5,30 L 12.5,37" },
+      { fill: "none", d: "M 12.5,30 C 18,27 27,27 32.5,30" },
+      { fill: "none", d: "M 12.5,33.5 C 18,30.5 27,30.5 32.5,33.5" },
+      { fill: "none", d: "M 12.5,37 C 18,34 27,34 32.5,37" }
+    ],
+    wQ: [
+      { fill: "#fff", d: "M 9,26 C 17.5,24.5 30,24.5 36,26 L 38.5,13.5 L 31,25 L 30.7,10.9 L 25.5,24.5 L 22.5,10 L 19.5,24.5 L 14.3,10.9 L 14,25 L 6.5,13.5 L 9,26 z" },
+      { fill: "#fff", d: "M 9,26 C 9,28 10.5,28 11.5,30 C 12.5,31.5 12.5,31 12,33.5 C 10.5,34.5 11,36 11,36 C 9.5,37.5 11,38.5 11,38.5 C 17.5,39.5 27.5,39.5 34,38.5 C 34,38.5 35.5,37.5 34,36 C 34,36 34.5,34.5 33,33.5 C 32.5,31 32.5,31.5 33.5,30 C 34.5,28 36,28 36,26 C 27.5,24.5 17.5,24.5 9,26 z" },
+      { fill: "none", d: "M 11.5,30 C 15,29 30,29 33.5,30" },
+      { fill: "none", d: "M 12,33.5 C 18,32.5 27,32.5 33,33.5" },
+      { fill: "#fff", d: "M 4,12 a 2,2 0 1,1 4,0 a 2,2 0 1,1 -4,0 z" },
+      { fill: "#fff", d: "M 12,9 a 2,2 0 1,1 4,0 a 2,2 0 1,1 -4,0 z" },
+      { fill: "#fff", d: "M 20.5,8 a 2,2 0 1,1 4,0 a 2,2 0 1,1 -4,0 z" },
+      { fill: "#fff", d: "M 29,9 a 2,2 0 1,1 4,0 a 2,2 0 1,1 -4,0 z" },
+      { fill: "#fff", d: "M 37,12 a 2,2 0 1,1 4,0 a 2,2 0 1,1 -4,0 z" }
+    ],
+    wR: [
+      { fill: "#fff", "stroke-linecap": "butt", d: "M 9,39 L 36,39 L 36,36 L 9,36 L 9,39 z" },
+      { fill: "#fff", "stroke-linecap": "butt", d: "M 12,36 L 12,32 L 33,32 L 33,36 L 12,36 z" },
+      { fill: "#fff", "stroke-linecap": "butt", d: "M 11,14 L 11,9 L 15,9 L 15,11 L 20,11 L 20,9 L 25,9 L 25,11 L 30,11 L 30,9 L 34,9 L 34,14" },
+      { fill: "#fff", d: "M 34,14 L 31,17 L 14,17 L 11,14" },
+      { fill: "#fff", "stroke-linecap": "butt", "stroke-linejoin": "miter", d: "M 31,17 L 31,29.5 L 14,29.5 L 14,17" },
+      { fill: "#fff", d: "M 31,29.5 L 32.5,32 L 12.5,32 L 14,29.5" },
+      { fill: "none", "stroke-linejoin": "miter", d: "M 11,14 L 34,14" }
+    ],
+    wB: [
+      { fill: "#fff", "stroke-linecap": "butt", d: "M 9,36 C 12.39,35.03 19.11,36.43 22.5,34 C 25.89,36.43 32.61,35.03 36,36 C 36,36 37.65,36.54 39,38 C 38.32,38.97 37.35,38.99 36,38.5 C 32.61,37.53 25.89,38.96 22.5,37.5 C 19.11,38.96 12.39,37.53 9,38.5 C 7.65,38.99 6.68,38.97 6,38 C 7.35,36.54 9,36 9,36 z" },
+      { fill: "#fff", "stroke-linecap": "butt", d: "M 15,32 C 17.5,34.5 27.5,34.5 30,32 C 30.5,30.5 30,30 30,30 C 30,27.5 27.5,26 27.5,26 C 33,24.5 33.5,14.5 22.5,10.5 C 11.5,14.5 12,24.5 17.5,26 C 17.5,26 15,27.5 15,30 C 15,30 14.5,30.5 15,32 z" },
+      { fill: "#fff", "stroke-linecap": "butt", d: "M 25 8 A 2.5 2.5 0 1 1 20,8 A 2.5 2.5 0 1 1 25 8 z" },
+      { fill: "none", "stroke-linejoin": "miter", d: "M 17.5,26 L 27.5,26 M 15,30 L 30,30 M 22.5,15.5 L 22.5,20.5 M 20,18 L 25,18" }
+    ],
+    wN: [
+      { fill: "#fff", d: "M 22,10 C 32.5,11 38.5,18 38,39 L 15,39 C 15,30 25,32.5 23,18" },
+      { fill: "#fff", d: "M 24,18 C 24.38,20.91 18.45,25.37 16,27 C 13,29 13.18,31.34 11,31 C 9.958,30.06 12.41,27.96 11,28 C 10,28 11.19,29.23 10,30 C 9,30 5.997,31 6,26 C 6,24 12,14 12,14 C 12,14 13.89,12.1 14,10.5 C 13.27,9.506 13.5,8.5 13.5,7.5 C 14.5,6.5 16.5,10 16.5,10 L 18.5,10 C 18.5,10 19.28,8.008 21,7 C 22,7 22,10 22,10" },
+      { fill: "#000", d: "M 9.5 25.5 A 0.5 0.5 0 1 1 8.5,25.5 A 0.5 0.5 0 1 1 9.5 25.5 z" },
+      { fill: "#000", transform: "matrix(0.866,0.5,-0.5,0.866,9.693,-5.173)", d: "M 15 15.5 A 0.5 1.5 0 1 1 14,15.5 A 0.5 1.5 0 1 1 15 15.5 z" }
+    ],
+    wP: [
+      { fill: "#fff", "stroke-linejoin": "miter", d: "m 22.5,9 c -2.21,0 -4,1.79 -4,4 0,0.89 0.29,1.71 0.78,2.38 C 17.33,16.5 16,18.59 16,21 c 0,2.03 0.94,3.84 2.41,5.03 C 15.41,27.09 11,31.58 11,39.5 H 34 C 34,31.58 29.59,27.09 26.59,26.03 28.06,24.84 29,23.03 29,21 29,18.59 27.67,16.5 25.72,15.38 26.21,14.71 26.5,13.89 26.5,13 c 0,-2.21 -1.79,-4 -4,-4 z" }
+    ],
+    bK: [
+      { fill: "none", "stroke-linejoin": "miter", d: "M 22.5,11.63 L 22.5,6" },
+      { fill: "#000", "stroke-linecap": "butt", "stroke-linejoin": "miter", d: "M 22.5,25 C 22.5,25 27,17.5 25.5,14.5 C 25.5,14.5 24.5,12 22.5,12 C 20.5,12 19.5,14.5 19.5,14.5 C 18,17.5 22.5,25 22.5,25" },
+      { fill: "#000", d: "M 12.5,37 C 18,40.5 27,40.5 32.5,37 L 32.5,30 C 32.5,30 41.5,25.5 38.5,19.5 C 34.5,13 25,16 22.5,23.5 L 22.5,27 L 22.5,23.5 C 20,16 10.5,13 6.5,19.5 C 3.5,25.5 12.5,30 12.5,30 L 12.5,37" },
+      { fill: "none", "stroke-linejoin": "miter", d: "M 20,8 L 25,8" },
+      { fill: "none", stroke: "#fff", d: "M 32,29.5 C 32,29.5 40.5,25.5 38.03,19.85 C 34.15,14 25,18 22.5,24.5 L 22.5,26.6 L 22.5,24.5 C 20,18 10.85,14 6.97,19.85 C 4.5,25.5 13,29.5 13,29.5" },
+      { fill: "none", stroke: "#fff", d: "M 12.5,30 C 18,27 27,27 32.5,30 M 12.5,33.5 C 18,30.5 27,30.5 32.5,33.5 M 12.5,37 C 18,34 27,34 32.5,37" }
+    ],
+    bQ: [
+      { fill: "#000", "stroke-linecap": "butt", d: "M 9,26 C 17.5,24.5 30,24.5 36,26 L 38.5,13.5 L 31,25 L 30.7,10.9 L 25.5,24.5 L 22.5,10 L 19.5,24.5 L 14.3,10.9 L 14,25 L 6.5,13.5 L 9,26 z" },
+      { fill: "#000", d: "m 9,26 c 0,2 1.5,2 2.5,4 1,1.5 1,1 0.5,3.5 -1.5,1 -1,2.5 -1,2.5 -1.5,1.5 0,2.5 0,2.5 6.5,1 16.5,1 23,0 0,0 1.5,-1 0,-2.5 0,0 0.5,-1.5 -1,-2.5 -0.5,-2.5 -0.5,-2 0.5,-3.5 1,-2 2.5,-2 2.5,-4 -8.5,-1.5 -18.5,-1.5 -27,0 z" },
+      { fill: "#000", d: "M 11.5,30 C 15,29 30,29 33.5,30" },
+      { fill: "#000", d: "m 12,33.5 c 6,-1 15,-1 21,0" },
+      { fill: "#000", d: "M 4,12 a 2,2 0 1,1 4,0 a 2,2 0 1,1 -4,0 z" },
+      { fill: "#000", d: "M 12,9 a 2,2 0 1,1 4,0 a 2,2 0 1,1 -4,0 z" },
+      { fill: "#000", d: "M 20.5,8 a 2,2 0 1,1 4,0 a 2,2 0 1,1 -4,0 z" },
+      { fill: "#000", d: "M 29,9 a 2,2 0 1,1 4,0 a 2,2 0 1,1 -4,0 z" },
+      { fill: "#000", d: "M 37,12 a 2,2 0 1,1 4,0 a 2,2 0 1,1 -4,0 z" },
+      { fill: "none", "stroke-linecap": "butt", d: "M 11,38.5 A 35,35 1 0 0 34,38.5" },
+      { fill: "none", stroke: "#fff", d: "M 11,29 A 35,35 1 0 1 34,29" },
+      { fill: "none", stroke: "#fff", d: "M 12.5,31.5 L 32.5,31.5" },
+      { fill: "none", stroke: "#fff", d: "M 11.5,34.5 A 35,35 1 0 0 33.5,34.5" },
+      { fill: "none", stroke: "#fff", d: "M 10.5,37.5 A 35,35 1 0 0 34.5,37.5" }
+    ],
+    bR: [
+      { fill: "#000", "stroke-linecap": "butt", d: "M 9,39 L 36,39 L 36,36 L 9,36 L 9,39 z" },
+      { fill: "#000", "stroke-linecap": "butt", d: "M 12.5,32 L 14,29.5 L 31,29.5 L 32.5,32 L 12.5,32 z" },
+      { fill: "#000", "stroke-linecap": "butt", d: "M 12,36 L 12,32 L 33,32 L 33,36 L 12,36 z" },
+      { fill: "#000", "stroke-linecap": "butt", "stroke-linejoin": "miter", d: "M 14,29.5 L 14,16.5 L 31,16.5 L 31,29.5 L 14,29.5 z" },
+      { fill: "#000", "stroke-linecap": "butt", d: "M 14,16.5 L 11,14 L 34,14 L 31,16.5 L 14,16.5 z" },
+      { fill: "#000", "stroke-linecap": "butt", d: "M 11,14 L 11,9 L 15,9 L 15,11 L 20,11 L 20,9 L 25,9 L 25,11 L 30,11 L 30,9 L 34,9 L 34,14 L 11,14 z" },
+      { fill: "none", stroke: "#fff", "stroke-width": "1", "stroke-linejoin": "miter", d: "M 12,35.5 L 33,35.5 L 33,35.5" },
+      { fill: "none", stroke: "#fff", "stroke-width": "1", "stroke-linejoin": "miter", d: "M 13,31.5 L 32,31.5" },
+      { fill: "none", stroke: "#fff", "stroke-width": "1", "stroke-linejoin": "miter", d: "M 14,29.5 L 31,29.5" },
+      { fill: "none", stroke: "#fff", "stroke-width": "1", "stroke-linejoin": "miter", d: "M 14,16.5 L 31,16.5" },
+      { fill: "none", stroke: "#fff", "stroke-width": "1", "stroke-linejoin": "miter", d: "M 11,14 L 34,14" }
+    ],
+    bB: [
+      { fill: "#000", "stroke-linecap": "butt", d: "M 9,36 C 12.39,35.03 19.11,36.43 22.5,34 C 25.89,36.43 32.61,35.03 36,36 C 36,36 37.65,36.54 39,38 C 38.32,38.97 37.35,38.99 36,38.5 C 32.61,37.53 25.89,38.96 22.5,37.5 C 19.11,38.96 12.39,37.53 9,38.5 C 7.65,38.99 6.68,38.97 6,38 C 7.35,36.54 9,36 9,36 z" },
+      { fill: "#000", "stroke-linecap": "butt", d: "M 15,32 C 17.5,34.5 27.5,34.5 30,32 C 30.5,30.5 30,30 30,30 C 30,27.5 27.5,26 27.5,26 C 33,24.5 33.5,14.5 22.5,10.5 C 11.5,14.5 12,24.5 17.5,26 C 17.5,26 15,27.5 15,30 C 15,30 14.5,30.5 15,32 z" },
+      { fill: "#000", "stroke-linecap": "butt", d: "M 25 8 A 2.5 2.5 0 1 1 20,8 A 2.5 2.5 0 1 1 25 8 z" },
+      { fill: "none", stroke: "#fff", "stroke-linejoin": "miter", d: "M 17.5,26 L 27.5,26 M 15,30 L 30,30 M 22.5,15.5 L 22.5,20.5 M 20,18 L 25,18" }
+    ],
+    bN: [
+      { fill: "#000", d: "M 22,10 C 32.5,11 38.5,18 38,39 L 15,39 C 15,30 25,32.5 23,18" },
+      { fill: "#000", d: "M 24,18 C 24.38,20.91 18.45,25.37 16,27 C 13,29 13.18,31.34 11,31 C 9.958,30.06 12.41,27.96 11,28 C 10,28 11.19,29.23 10,30 C 9,30 5.997,31 6,26 C 6,24 12,14 12,14 C 12,14 13.89,12.1 14,10.5 C 13.27,9.506 13.5,8.5 13.5,7.5 C 14.5,6.5 16.5,10 16.5,10 L 18.5,10 C 18.5,10 19.28,8.008 21,7 C 22,7 22,10 22,10" },
+      { fill: "#fff", stroke: "#fff", d: "M 9.5 25.5 A 0.5 0.5 0 1 1 8.5,25.5 A 0.5 0.5 0 1 1 9.5 25.5 z" },
+      { fill: "#fff", stroke: "#fff", transform: "matrix(0.866,0.5,-0.5,0.866,9.693,-5.173)", d: "M 15 15.5 A 0.5 1.5 0 1 1 14,15.5 A 0.5 1.5 0 1 1 15 15.5 z" },
+      { fill: "#fff", stroke: "none", d: "M 24.55,10.4 L 24.1,11.85 L 24.6,12 C 27.75,13 30.25,14.49 32.5,18.75 C 34.75,23.01 35.75,29.06 35.25,39 L 35.2,39.5 L 37.45,39.5 L 37.5,39 C 38,28.94 36.62,22.15 34.25,17.66 C 31.88,13.17 28.46,11.02 25.06,10.5 L 24.55,10.4 z" }
+    ],
+    bP: [
+      { fill: "#000", "stroke-linejoin": "miter", d: "m 22.5,9 c -2.21,0 -4,1.79 -4,4 0,0.89 0.29,1.71 0.78,2.38 C 17.33,16.5 16,18.59 16,21 c 0,2.03 0.94,3.84 2.41,5.03 C 15.41,27.09 11,31.58 11,39.5 H 34 C 34,31.58 29.59,27.09 26.59,26.03 28.06,24.84 29,23.03 29,21 29,18.59 27.67,16.5 25.72,15.38 26.21,14.71 26.5,13.89 26.5,13 c 0,-2.21 -1.79,-4 -4,-4 z" }
+    ]
+  };
+
+  const SQ = 45;
+
+  // Piece placement field -> { e4: "P", ... }, or null when it is not one
+  function parsePlacement(fen) {
+    const placement = String(fen || "").trim().split(/\s+/)[0];
+    const rows = placement.split("/");
+    if (rows.length !== 8) return null;
+
+    for (const row of rows) {
+      if (!/^[1-8pnbrqkPNBRQK]+$/.test(row)) return null;
+      const width = [...row].reduce((n, ch) => n + (/\d/.test(ch) ? +ch : 1), 0);
+      if (width !== 8) return null;
+    }
+    return readBoard(placement);
+  }
+
+  // Piece code ("wK", "bP", ...) centred on (x, y)
+  function vectorPiece(code, x, y) {
+    const g = svgEl("g", Object.assign({
+      transform: "translate(" + (x - SQ / 2) + " " + (y - SQ / 2) + ") scale(" + SQ / 45 + ")"
+    }, PIECE_STYLE));
+    PIECE_PATHS[code].forEach((attrs) => g.appendChild(svgEl("path", attrs)));
+    return g;
+  }
+
+  /**
+   * Renders a FEN as a standalone <svg> element, or returns null for an
+   * invalid placement.
+   * opts: { orientation: "white"|"black", coordinates: true, marks, colors,
+   *         pieces: a C.PIECE_SETS name (default: built-in vector pieces) }
+   * Square colours follow the board theme's CSS variables where styled.
+   */
+  C.renderBoardSVG = function (fen, opts) {
+    const board = parsePlacement(fen);
+    if (!board) return null;
+
+    const o = opts || {};
+    const orientation = o.orientation === "black" ? "black" : "white";
+    const colors = Object.assign({}, C.BOARD_COLORS, o.colors);
+
+    const svg = svgEl("svg", {
+      class: "pgn-board-svg",
+      viewBox: "0 0 " + SQ * 8 + " " + SQ * 8,
+      role: "img",
+      "aria-label": "Chess diagram: " + String(fen).trim()
+    });
+
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const file = orientation === "white" ? col : 7 - col;
+        const rank = orientation === "white" ? 8 - row : row + 1;
+        const light = (file + rank) % 2 === 0;
+        const x = col * SQ;
+        const y = row * SQ;
+
+        svg.appendChild(svgEl("rect", {
+          x, y, width: SQ, height: SQ,
+          class: light ? "pgn-sq-light" : "pgn-sq-dark",
+          fill: light ? colors.light : colors.dark
+        }));
+
+        if (o.coordinates !== false) {
+          const label = (text, lx, ly, anchor) => {
+            const t = svgEl("text", {
+              x: lx, y: ly,
+              class: light ? "pgn-coord-light" : "pgn-coord-dark",
+              fill: light ? colors.dark : colors.light,
+              "font-size": SQ * 0.24,
+              "font-family": "sans-serif",
+              "text-anchor": anchor
+            });
+            t.textContent = text;
+            svg.appendChild(t);
+          };
+          if (row === 7) label(FILES[file], x + SQ - 2, y + SQ - 3, "end");
+          if (col === 0) label(String(rank), x + 2, y + SQ * 0.28, "start");
+        }
+      }
+    }
+
+    if (hasMarks(o.marks)) {
+      const marks = marksGroup(o.marks, orientation);
+      marks.setAttribute("transform", "scale(" + SQ + ")");
+      svg.appendChild(marks);
+    }
+
+    Object.keys(board).forEach((sq) => {
+      const p = board[sq];
+      const c = squareCenter(sq, orientation);
+      const x = c.x * SQ;
+      const y = c.y * SQ;
+      const code = (p === p.toLowerCase() ? "b" : "w") + p.toUpperCase();
+
+      if (o.pieces) {
+        svg.appendChild(svgEl("image", {
+          href: ASSETS_URL + "img/chesspieces/" + o.pieces + "/" + code + ".png",
+          x: x - SQ / 2, y: y - SQ / 2, width: SQ, height: SQ
+        }));
+      } else {
+        svg.appendChild(vectorPiece(code, x, y));
+      }
+    });
+
+    return svg;
+  };
+
+  function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function dataURL(url) {
+    return fetch(url)
+      .then((res) => res.blob())
+      .then((blob) => new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsDataURL(blob);
+      }));
+  }
+
+  // Copy of a rendered diagram that stands alone: theme colours resolved,
+  // piece images embedded
+  function standaloneSVG(svg) {
+    const copy = svg.cloneNode(true);
+    const themed = ".pgn-sq-light, .pgn-sq-dark, .pgn-coord-light, .pgn-coord-dark";
+    const copies = copy.querySelectorAll(themed);
+    svg.querySelectorAll(themed).forEach((el, i) => {
+      const fill = getComputedStyle(el).fill;
+      if (fill && fill !== "none") copies[i].setAttribute("fill", fill);
+    });
+
+    const images = Array.from(copy.querySelectorAll("image"));
+    const urls = Array.from(new Set(images.map((img) => img.getAttribute("href"))));
+    return Promise.all(urls.map(dataURL)).then((data) => {
+      images.forEach((img) => img.setAttribute("href", data[urls.indexOf(img.getAttribute("href"))]));
+      return copy;
+    });
+  }
+
+  /**
+   * Saves a diagram from renderBoardSVG as "<name>.svg" or "<name>.png"
+   * (PNG is rasterised at `size` px). Resolves false if the browser fails.
+   */
+  C.downloadDiagram = function (svg, name, format, size) {
+    return standaloneSVG(svg)
+      .then((copy) => saveDiagram(copy, name, format, size))
+      .catch(() => false);
+  };
+
+  function saveDiagram(svg, name, format, size) {
+    const xml = new XMLSerializer().serializeToString(svg);
+    const svgBlob = new Blob([xml], { type: "image/svg+xml;charset=utf-8" });
+
+    if (format !== "png") {
+      saveBlob(svgBlob, name + ".svg");
+      return true;
+    }
+
+    return new Promise((resolve) => {
+      const px = size || 720;
+      const img = new Image();
+      const url = URL.createObjectURL(svgBlob);
+
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        const canvas = document.createElement("canvas");
+        canvas.width = px;
+        canvas.height = px;
+        canvas.getContext("2d").drawImage(img, 0, 0, px, px);
+        canvas.toBlob((png) => {
+          if (png) saveBlob(png, name + ".png");
+          resolve(!!png);
+        }, "image/png");
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        resolve(false);
+      };
+      img.src = url;
+    });
+  }
+
+  // "SVG · PNG" download links for a diagram
+  C.diagramDownloads = function (svg, name) {
+    const bar = document.createElement("div");
+    bar.className = "pgn-diagram-downloads";
+
+    ["svg", "png"].forEach((format) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.textContent = "⤓ " + format.toUpperCase();
+      btn.title = "Download diagram as " + format.toUpperCase();
+      btn.addEventListener("click", () => C.downloadDiagram(svg, name, format));
+      bar.appendChild(btn);
+    });
+
+    return bar;
+  };
+
+  // --------------------------------------------------------------------------
+  // Promotion picker (like the #promo dialog of the PGN app)
+  // --------------------------------------------------------------------------
+
+  const PROMOTION_GLYPHS = { w: "♕♖♗♘", b: "♛♜♝♞" };
+
+  /**
+   * Asks which piece a pawn of `color` promotes to. Resolves "q", "r", "b"
+   * or "n", or null when the dialog is dismissed (backdrop click, Escape).
+   */
+  C.choosePromotion = function (color) {
+    return new Promise((resolve) => {
+      const overlay = document.createElement("div");
+      overlay.className = "pgn-promo";
+
+      const box = document.createElement("div");
+      box.className = "pgn-promo-box";
+      box.setAttribute("role", "dialog");
+      box.setAttribute("aria-label", "Promote to");
+      overlay.appendChild(box);
+
+      const done = (piece) => {
+        document.removeEventListener("keydown", onKey);
+        overlay.remove();
+        resolve(piece);
+      };
+      const onKey = (e) => {
+        if (e.key === "Escape") done(null);
+      };
+
+      [...PROMOTION_GLYPHS[color === "b" ? "b" : "w"]].forEach((glyph, i) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.dataset.p = "qrbn"[i];
+        btn.title = ["Queen", "Rook", "Bishop", "Knight"][i];
+        btn.textContent = glyph;
+        box.appendChild(btn);
+      });
+
+      overlay.addEventListener("click", (e) => {
+        if (e.target === overlay) done(null);
+        else if (e.target.dataset.p) done(e.target.dataset.p);
+      });
+      document.addEventListener("keydown", onKey);
+
+      document.body.appendChild(overlay);
+      box.querySelector("button").focus();
+    });
+  };
+
+  try {
+    Object.freeze(C);
+  } catch (e) {}
+})();
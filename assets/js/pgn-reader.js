@@ -3,7 +3,7 @@
 // FINAL PATCH:
 //   1) Board starts at initial position (no auto-first-move)
 //   2) Animate piece movement on clicks/buttons/keys
-// Keeps (unchanged): original parsing, styling, tag stripping, variations, etc.
+// Movetext comes from the shared PGNCore game tree (variations, comments, NAGs).
 // ============================================================================
 
 (function () {
@@ -68,85 +68,225 @@
     if (txt) el.appendChild(document.createTextNode(txt));
   }
 
-  function splitPGNText(text) {
-    const lines = text.split(/\r?\n/);
-    const headers = [];
-    const moves = [];
-    let inHeaders = true;
-
-    for (const line of lines) {
-      const t = line.trim();
-      if (inHeaders && t.startsWith("[") && t.endsWith("]")) headers.push(line);
-      else if (inHeaders && t === "") inHeaders = false;
-      else {
-        inHeaders = false;
-        moves.push(line);
-      }
-    }
+  // "Rd 1.2: Magnus Carlsen – Hikaru Nakamura  1-0"
+  function gameLabel(game) {
+    const h = game.headers;
+    const round = h.Round && h.Round !== "?" ? "Rd " + h.Round + ": " : "";
+    const res = C.normalizeResult(game.result || h.Result || "*");
+    return round + C.flipName(h.White || "?") + " – " + C.flipName(h.Black || "?") + "  " + res;
+  }
+
+  // ---- Evaluations ----------------------------------------------------------
+  // Pawn scores are clamped to ±EVAL_CLAMP; mate scores pin the bar to an end
+  const EVAL_CLAMP = 5;
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+  // Whether White is the side giving mate; #0 / #-0 (mate on the board)
+  // go by the side to move of node's position, the side that is mated
+  function whiteMates(e, node) {
+    return e.mate === 0 ? node.fen.split(" ")[1] === "b" : e.mate > 0;
+  }
+
+  // White's share of the bar, 0..1
+  function evalFraction(e, node) {
+    if (!e) return 0.5;
+    if (e.mate !== null) return whiteMates(e, node) ? 1 : 0;
+    const p = Math.max(-EVAL_CLAMP, Math.min(EVAL_CLAMP, e.pawns));
+    return 0.5 + p / (2 * EVAL_CLAMP);
+  }
+
+  function formatEval(e) {
+    if (!e) return "";
+    if (e.mate !== null) return "#" + e.mate;
+    return (e.pawns > 0 ? "+" : "") + e.pawns.toFixed(1);
+  }
+
+  // ---- Clocks ---------------------------------------------------------------
+
+  // "1:30:57" / "5:48"
+  function formatClock(sec) {
+    const t = Math.round(sec);
+    const h = Math.floor(t / 3600);
+    const m = Math.floor((t % 3600) / 60);
+    const s = String(t % 60).padStart(2, "0");
+    return h ? h + ":" + String(m).padStart(2, "0") + ":" + s : m + ":" + s;
+  }
 
-    return { headers, moveText: moves.join(" ").replace(/\s+/g, " ").trim() };
+  // [TimeControl "5400+30"] -> { base: 5400, inc: 30 }; other forms -> null
+  function parseTimeControl(tc) {
+    const m = /^(\d+)(?:\+(\d+))?$/.exec(String(tc || "").trim());
+    return m ? { base: parseInt(m[1], 10), inc: parseInt(m[2] || "0", 10) } : null;
   }
 
+  function svgEl(name, attrs) {
+    const el = document.createElementNS(SVG_NS, name);
+    for (const k in attrs) el.setAttribute(k, attrs[k]);
+    return el;
+  }
+
+  // Keyboard shortcuts of a focused reader -> method
+  const READER_KEYS = {
+    ArrowRight: "next",
+    ArrowLeft: "prev",
+    ArrowDown: "enter",
+    ArrowUp: "exit",
+    Home: "start",
+    End: "end",
+    PageUp: "prevKey",
+    PageDown: "nextKey"
+  };
+
+  // Autoplay seconds per move: default and choices
+  const AUTOPLAY_INTERVAL = 1.5;
+  const AUTOPLAY_SPEEDS = [0.5, 1, 1.5, 2, 3, 5];
+
+  // Reader instances by number (see deep links)
+  const readers = [];
+
   class ReaderPGNView {
-    constructor(src) {
+    // number: 1-based position among the page's readers, used in deep links
+    constructor(src, number) {
       if (src.__pgnReaderRendered) return;
       src.__pgnReaderRendered = true;
+      this.number = number;
+
+      // <pgn-reader interval="2" pause-on="comments diagrams">
+      this.interval = parseFloat(src.getAttribute("interval")) || AUTOPLAY_INTERVAL;
+      this.pauseOn = (src.getAttribute("pause-on") || "").toLowerCase().split(/[\s,]+/);
+      this.autoTimer = null;
+      this.autoStepping = false;
 
       this.sourceEl = src;
       this.wrapper = document.createElement("div");
       this.wrapper.className = "pgn-reader-block";
-      this.finalResultPrinted = false;
+      this.wrapper.__pgnReader = this;
+      C.applyBoardTheme(src, this.wrapper);
+      const pieces = C.pieceSet(src);
+      if (pieces) this.wrapper.dataset.pieces = pieces;
 
       this.board = null;
+      this.moveSpans = [];
 
       this.build();
-      this.applyFigurines();
       this.initBoardAndControls();
-      this.bindMoveClicks();
-    }
+      this.showGame(0);
 
-    static isSANCore(tok) {
-      return C.SAN_CORE_REGEX.test(tok);
+      readers[number] = this;
+      this.openLink(location.hash);
     }
 
     build() {
-      let raw = (this.sourceEl.textContent || "").trim();
-      raw = C.normalizeFigurines(raw);
-
-      const { headers, moveText } = splitPGNText(raw);
-      const pgn = (headers.length ? headers.join("\n") + "\n\n" : "") + moveText;
-
-      const chess = new Chess();
-      try { chess.load_pgn(pgn, { sloppy: true }); } catch {}
-
-      let head = {};
-      try { head = chess.header ? chess.header() : {}; } catch {}
-
-      const res = C.normalizeResult(head.Result || "");
-      const hasResultAlready = / (1-0|0-1|1\/2-1\/2|½-½|\*)$/.test(moveText);
-      const movetext = hasResultAlready ? moveText : moveText + (res ? " " + res : "");
+      const raw = (this.sourceEl.textContent || "").trim();
+      const lang = C.notationLang(this.sourceEl);
+      this.games = C.splitGames(raw).map((g) => C.parseGame(g, { lang }));
+      if (!this.games.length) this.games = [C.parseGame("")];
 
       this.wrapper.innerHTML =
+        '<div class="pgn-reader-games"></div>' +
         '<div class="pgn-reader-header"></div>' +
         '<div class="pgn-reader-cols">' +
           '<div class="pgn-reader-left">' +
-            '<div class="pgn-reader-board"></div>' +
+            '<div class="pgn-reader-boardwrap">' +
+              '<div class="pgn-reader-evalbar" hidden>' +
+                '<div class="pgn-reader-evalbar-fill"></div>' +
+                '<span class="pgn-reader-evalbar-label"></span>' +
+              "</div>" +
+              '<div class="pgn-reader-board"></div>' +
+            "</div>" +
+            '<div class="pgn-reader-clocks" hidden>' +
+              '<span class="pgn-reader-clock-white"></span>' +
+              '<span class="pgn-reader-clock-black"></span>' +
+            "</div>" +
             '<div class="pgn-reader-buttons">' +
-              '<button class="pgn-reader-btn pgn-reader-prev" type="button">◀</button>' +
-              '<button class="pgn-reader-btn pgn-reader-next" type="button">▶</button>' +
+              '<button class="pgn-reader-btn pgn-reader-start" type="button" title="Start (Home)">⏮</button>' +
+              '<button class="pgn-reader-btn pgn-reader-prev" type="button" title="Back (←)">◀</button>' +
+              '<button class="pgn-reader-btn pgn-reader-next" type="button" title="Forward (→)">▶</button>' +
+              '<button class="pgn-reader-btn pgn-reader-end" type="button" title="End of line (End)">⏭</button>' +
+              '<button class="pgn-reader-btn pgn-reader-enter" type="button" title="Enter variation (↓)">⤵</button>' +
+              '<button class="pgn-reader-btn pgn-reader-exit" type="button" title="Back to parent line (↑)">⤴</button>' +
+              '<button class="pgn-reader-btn pgn-reader-prevKey" type="button" title="Previous key position (PgUp)" hidden>◆◀</button>' +
+              '<button class="pgn-reader-btn pgn-reader-nextKey" type="button" title="Next key position (PgDn)" hidden>▶◆</button>' +
+            "</div>" +
+            '<div class="pgn-reader-autoplay">' +
+              '<button class="pgn-reader-btn pgn-reader-play" type="button" title="Play">⏵</button>' +
+              '<select class="pgn-reader-speed" title="Seconds per move"></select>' +
             "</div>" +
+            '<div class="pgn-reader-evalgraph" hidden></div>' +
+            '<div class="pgn-reader-timechart" hidden></div>' +
           "</div>" +
           '<div class="pgn-reader-right"></div>' +
         "</div>";
 
+      this.sourceEl.__pgnWrapper = this.wrapper;
       this.sourceEl.replaceWith(this.wrapper);
 
       this.headerDiv = this.wrapper.querySelector(".pgn-reader-header");
       this.movesCol = this.wrapper.querySelector(".pgn-reader-right");
       this.boardDiv = this.wrapper.querySelector(".pgn-reader-board");
+      this.gamesDiv = this.wrapper.querySelector(".pgn-reader-games");
+      this.evalBar = this.wrapper.querySelector(".pgn-reader-evalbar");
+      this.evalGraph = this.wrapper.querySelector(".pgn-reader-evalgraph");
+      this.clocksDiv = this.wrapper.querySelector(".pgn-reader-clocks");
+      this.timeChart = this.wrapper.querySelector(".pgn-reader-timechart");
 
-      this.headerDiv.appendChild(this.buildHeaderContent(head));
-      this.parseMovetext(movetext);
+      this.buildGameList();
+    }
+
+    // Game picker, only for multi-game PGN
+    buildGameList() {
+      this.gameButtons = [];
+      if (this.games.length < 2) {
+        this.gamesDiv.remove();
+        return;
+      }
+
+      const list = document.createElement("ol");
+      list.className = "pgn-reader-game-list";
+
+      this.games.forEach((game, i) => {
+        const li = document.createElement("li");
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "pgn-reader-game";
+        btn.textContent = gameLabel(game);
+        btn.addEventListener("click", () => {
+          this.showGame(i);
+          this.syncHash();
+        });
+        li.appendChild(btn);
+        list.appendChild(li);
+        this.gameButtons.push(btn);
+      });
+
+      this.gamesDiv.appendChild(list);
+    }
+
+    showGame(i) {
+      this.stopAutoplay();
+      this.gameIndex = i;
+      this.game = this.games[i];
+
+      this.headerDiv.textContent = "";
+      this.headerDiv.appendChild(this.buildHeaderContent(this.game.headers));
+
+      this.movesCol.textContent = "";
+      this.movesCol.scrollTop = 0;
+      if (this.game.unsupported) this.renderError(this.game.unsupported);
+      else this.renderGame(this.game);
+      this.applyFigurines();
+
+      this.moveSpans = Array.from(this.movesCol.querySelectorAll(".reader-move"));
+      this.mainlineMoves = this.moveSpans.filter((s) => s.dataset.mainline === "1");
+      this.spanOf = new Map(this.moveSpans.map((s) => [s.__node, s]));
+      this.bindMoveClicks();
+      this.collectKeyPositions();
+
+      this.chartMarkers = [];
+      this.buildEvalGraph();
+      this.buildTimeChart();
+
+      this.gameButtons.forEach((b, k) => b.classList.toggle("pgn-reader-game-active", k === i));
+      this.resetBoard(false);
     }
 
     buildHeaderContent(h) {
@@ -168,6 +308,13 @@
       return H;
     }
 
+    renderError(message) {
+      const p = document.createElement("p");
+      p.className = "pgn-variant-error";
+      appendText(p, "❌ " + message);
+      this.movesCol.appendChild(p);
+    }
+
     ensure(ctx, cls) {
       if (!ctx.container) {
         const p = document.createElement("p");
@@ -177,208 +324,102 @@
       }
     }
 
-    parseComment(text, startIndex, ctx) {
-      let j = startIndex;
-      while (j < text.length && text[j] !== "}") j++;
-
-      let raw = text.substring(startIndex, j).trim();
-      if (text[j] === "}") j++;
+    lineClass(ctx) {
+      return ctx.type === "main" ? "pgn-mainline" : "pgn-variation";
+    }
 
-      // ✅ this is the “ignore eval/clk/etc” logic you want
-      raw = raw.replace(/\[%.*?]/g, "").trim();
-      if (!raw.length) return j;
+    // Comments, with the [D] marker where the [D] was written
+    renderComments(node, ctx) {
+      C.commentSegments(node).forEach((c) => {
+        if (c === null) this.renderKeyMarker(node, ctx);
+        else this.renderComment(c, ctx);
+      });
+    }
 
-      const parts = raw.split("[D]");
-      for (let k = 0; k < parts.length; k++) {
-        const c = parts[k].trim();
-        if (ctx.type === "variation") {
-          this.ensure(ctx, "pgn-variation");
-          if (c) appendText(ctx.container, " " + c);
-        } else {
-          if (c) {
-            const p = document.createElement("p");
-            p.className = "pgn-comment";
-            appendText(p, c);
-            this.movesCol.appendChild(p);
-          }
-          ctx.container = null;
-        }
+    renderComment(text, ctx) {
+      if (ctx.type === "variation") {
+        this.ensure(ctx, "pgn-variation");
+        appendText(ctx.container, " " + text + " ");
+      } else {
+        const p = document.createElement("p");
+        p.className = "pgn-comment";
+        appendText(p, text);
+        this.movesCol.appendChild(p);
+        ctx.container = null;
       }
-
       ctx.lastWasInterrupt = true;
-      return j;
     }
 
-    handleSAN(tok, ctx) {
-      const core = tok.replace(/[^a-hKQRBN0-9=O0-]+$/g, "").replace(/0/g, "O");
-      if (!ReaderPGNView.isSANCore(core)) {
-        appendText(ctx.container, tok + " ");
-        return null;
-      }
-
-      const base = ctx.baseHistoryLen || 0;
-      const count = ctx.chess.history().length;
-      const ply = base + count;
-      const white = ply % 2 === 0;
-      const num = Math.floor(ply / 2) + 1;
+    renderMove(node, ctx) {
+      node.commentsBefore.forEach((c) => this.renderComment(c, ctx));
+      this.ensure(ctx, this.lineClass(ctx));
 
-      if (white) appendText(ctx.container, num + "." + C.NBSP);
-      else if (ctx.lastWasInterrupt) appendText(ctx.container, num + "..." + C.NBSP);
-
-      ctx.prevFen = ctx.chess.fen();
-      ctx.prevHistoryLen = ply;
-
-      const mv = ctx.chess.move(core, { sloppy: true });
-      if (!mv) {
-        appendText(ctx.container, tok + " ");
-        return null;
+      if (node.color === "w" || ctx.lastWasInterrupt) {
+        appendText(ctx.container, C.moveNumberText(node) + C.NBSP);
       }
 
-      ctx.lastWasInterrupt = false;
-
       const span = document.createElement("span");
       span.className = "pgn-move reader-move";
-      span.dataset.fen = ctx.chess.fen();
+      span.dataset.fen = node.fen;
       span.dataset.mainline = ctx.type === "main" ? "1" : "0";
-      span.textContent = unbreak(tok) + " ";
+      span.__node = node;
+      span.textContent = unbreak(C.formatMove(node)) + " ";
       ctx.container.appendChild(span);
+      ctx.lastWasInterrupt = false;
+
+      node.nags.forEach((code) => {
+        if (code > 6 && C.NAG_MAP[code]) appendText(ctx.container, C.NAG_MAP[code] + " ");
+      });
+      node.symbols.forEach((sym) => appendText(ctx.container, sym + " "));
+      this.renderComments(node, ctx);
 
       return span;
     }
 
-    parseMovetext(t) {
-      const chess = new Chess();
-
-      let ctx = {
-        type: "main",
-        chess,
-        container: null,
-        parent: null,
-        lastWasInterrupt: false,
-        prevFen: chess.fen(),
-        prevHistoryLen: 0,
-        baseHistoryLen: null
-      };
-
-      let i = 0;
-      while (i < t.length) {
-        const ch = t[i];
-
-        if (/\s/.test(ch)) {
-          while (i < t.length && /\s/.test(t[i])) i++;
-          this.ensure(ctx, ctx.type === "main" ? "pgn-mainline" : "pgn-variation");
-          appendText(ctx.container, " ");
-          continue;
-        }
-
-        if (ch === "(") {
-          i++;
-          const fen = ctx.prevFen || ctx.chess.fen();
-          const len = typeof ctx.prevHistoryLen === "number" ? ctx.prevHistoryLen : ctx.chess.history().length;
-
-          ctx = {
-            type: "variation",
-            chess: new Chess(fen),
-            container: null,
-            parent: ctx,
-            lastWasInterrupt: true,
-            prevFen: fen,
-            prevHistoryLen: len,
-            baseHistoryLen: len
-          };
-          this.ensure(ctx, "pgn-variation");
-          continue;
-        }
-
-        if (ch === ")") {
-          i++;
-          if (ctx.parent) {
-            ctx = ctx.parent;
-            ctx.lastWasInterrupt = true;
-            ctx.container = null;
-          }
-          continue;
-        }
-
-        if (ch === "{") {
-          i = this.parseComment(t, i + 1, ctx);
-          continue;
-        }
-
-        const start = i;
-        while (i < t.length && !/\s/.test(t[i]) && !"(){}".includes(t[i])) i++;
-        const tok = t.substring(start, i);
-        if (!tok) continue;
-
-        if (/^\[%.*]$/.test(tok)) continue;
-
-        if (tok === "[D]") {
-          ctx.lastWasInterrupt = true;
-          ctx.container = null;
-          continue;
-        }
-
-        if (C.RESULT_REGEX.test(tok)) {
-          if (!this.finalResultPrinted) {
-            this.finalResultPrinted = true;
-            this.ensure(ctx, ctx.type === "main" ? "pgn-mainline" : "pgn-variation");
-            appendText(ctx.container, tok + " ");
-          }
-          continue;
-        }
-
-        if (C.MOVE_NUMBER_REGEX.test(tok)) continue;
+    // [D] in the PGN: a clickable marker instead of a static diagram
+    renderKeyMarker(node, ctx) {
+      this.ensure(ctx, this.lineClass(ctx));
+
+      const mark = document.createElement("button");
+      mark.type = "button";
+      mark.className = "pgn-reader-keypos";
+      mark.title = "Key position";
+      mark.textContent = "◆";
+      mark.addEventListener("click", () => this.gotoNode(node));
+      ctx.container.appendChild(mark);
+      appendText(ctx.container, " ");
+    }
 
-        const core = tok.replace(/[^a-hKQRBN0-9=O0-]+$/g, "").replace(/0/g, "O");
-        const san = ReaderPGNView.isSANCore(core);
+    // Walks one line; alternatives to a move are printed right after it
+    renderLine(node, ctx) {
+      for (let n = node; n; n = n.next) {
+        this.renderMove(n, ctx);
 
-        if (!san) {
-          if (C.EVAL_MAP[tok]) {
-            this.ensure(ctx, ctx.type === "main" ? "pgn-mainline" : "pgn-variation");
-            appendText(ctx.container, C.EVAL_MAP[tok] + " ");
-            continue;
-          }
+        if (n.parent.next !== n || !n.parent.variations.length) continue;
 
-          if (tok[0] === "$") {
-            const code = +tok.slice(1);
-            if (C.NAG_MAP[code]) {
-              this.ensure(ctx, ctx.type === "main" ? "pgn-mainline" : "pgn-variation");
-              appendText(ctx.container, C.NAG_MAP[code] + " ");
-            }
-            continue;
-          }
+        n.parent.variations.forEach((v) => {
+          this.renderLine(v, { type: "variation", container: null, lastWasInterrupt: true });
+        });
+        ctx.lastWasInterrupt = true;
+        ctx.container = null;
+      }
+    }
 
-          if (/[A-Za-zÇĞİÖŞÜçğıöşü]/.test(tok)) {
-            if (ctx.type === "variation") {
-              this.ensure(ctx, "pgn-variation");
-              appendText(ctx.container, " " + tok);
-            } else {
-              const p = document.createElement("p");
-              p.className = "pgn-comment";
-              appendText(p, tok);
-              this.movesCol.appendChild(p);
-              ctx.container = null;
-              ctx.lastWasInterrupt = false;
-            }
-          } else {
-            this.ensure(ctx, ctx.type === "main" ? "pgn-mainline" : "pgn-variation");
-            appendText(ctx.container, tok + " ");
-          }
+    renderGame(game) {
+      const ctx = { type: "main", container: null, lastWasInterrupt: true };
 
-          continue;
-        }
+      this.renderComments(game.root, ctx);
+      this.renderLine(game.root.next, ctx);
 
-        this.ensure(ctx, ctx.type === "main" ? "pgn-mainline" : "pgn-variation");
-        const m = this.handleSAN(tok, ctx);
-        if (!m) appendText(ctx.container, unbreak(tok) + " ");
+      if (game.result) {
+        this.ensure(ctx, "pgn-mainline");
+        appendText(ctx.container, C.normalizeResult(game.result));
       }
     }
 
     applyFigurines() {
-      const map = { K: "♔", Q: "♕", R: "♖", B: "♗", N: "♘" };
       this.wrapper.querySelectorAll(".pgn-move").forEach((span) => {
-        const m = span.textContent.match(/^([KQRBN])(.+?)(\s*)$/);
-        if (m) span.textContent = map[m[1]] + m[2] + (m[3] || "");
+        span.textContent = C.displaySAN(span.textContent);
       });
     }
 
@@ -389,9 +430,9 @@
       safeChessboard(
         this.boardDiv,
         {
-          position: "start",
+          position: this.games[0].root.fen,
           draggable: false,
-          pieceTheme: C.PIECE_THEME_URL,
+          pieceTheme: C.pieceTheme(this.sourceEl),
           appearSpeed: 200,
           moveSpeed: 200,
           snapSpeed: 25,
@@ -405,36 +446,50 @@
         }
       );
 
-      this.moveSpans = Array.from(this.wrapper.querySelectorAll(".reader-move"));
-      this.mainlineMoves = this.moveSpans.filter((s) => s.dataset.mainline === "1");
-
-      // ✅ requirement #1: start before the first move
-      this.mainlineIndex = -1;
-
-      const prevBtn = this.wrapper.querySelector(".pgn-reader-prev");
-      const nextBtn = this.wrapper.querySelector(".pgn-reader-next");
+      this.buttons = {};
+      ["start", "prev", "next", "end", "enter", "exit", "prevKey", "nextKey"].forEach((act) => {
+        const btn = this.wrapper.querySelector(".pgn-reader-" + act);
+        btn.addEventListener("click", () => this[act]());
+        this.buttons[act] = btn;
+      });
 
-      prevBtn && prevBtn.addEventListener("click", () => this.prev());
-      nextBtn && nextBtn.addEventListener("click", () => this.next());
+      this.playBtn = this.wrapper.querySelector(".pgn-reader-play");
+      this.playBtn.addEventListener("click", () => (this.autoTimer ? this.stopAutoplay() : this.play()));
+
+      this.speedSel = this.wrapper.querySelector(".pgn-reader-speed");
+      const speeds = AUTOPLAY_SPEEDS.includes(this.interval)
+        ? AUTOPLAY_SPEEDS
+        : AUTOPLAY_SPEEDS.concat(this.interval).sort((a, b) => a - b);
+      speeds.forEach((sec) => {
+        const opt = document.createElement("option");
+        opt.value = sec;
+        opt.textContent = sec + " s";
+        opt.selected = sec === this.interval;
+        this.speedSel.appendChild(opt);
+      });
+      this.speedSel.addEventListener("change", () => {
+        this.interval = parseFloat(this.speedSel.value);
+      });
 
-      if (!ReaderPGNView._keysBound) {
-        ReaderPGNView._keysBound = true;
-        window.addEventListener("keydown", (e) => {
-          const tag = (e.target && e.target.tagName ? e.target.tagName : "").toLowerCase();
-          if (tag === "input" || tag === "textarea") return;
-          if (!window.__PGNReaderActive) return;
+      // Keys only act while this reader has focus (clicking into it focuses it)
+      this.wrapper.tabIndex = 0;
+      this.wrapper.addEventListener("keydown", (e) => {
+        const tag = (e.target && e.target.tagName ? e.target.tagName : "").toLowerCase();
+        if (tag === "input" || tag === "textarea" || tag === "select") return;
 
-          if (e.key === "ArrowRight") { e.preventDefault(); window.__PGNReaderActive.next(); }
-          if (e.key === "ArrowLeft")  { e.preventDefault(); window.__PGNReaderActive.prev(); }
-        });
-      }
+        // Keys that have nothing to do keep their default (page scrolling)
+        const act = READER_KEYS[e.key];
+        if (act && !this.buttons[act].disabled) { e.preventDefault(); this[act](); }
+      });
 
       // ✅ do NOT auto-jump to first move on load
     }
 
     gotoSpan(span) {
       if (!span) return;
-      window.__PGNReaderActive = this;
+      if (!this.autoStepping) this.stopAutoplay();
+      this.current = span.__node;
+      this.syncHash();
 
       const fen = span.dataset.fen;
 
@@ -443,6 +498,7 @@
           if (this.board && typeof this.board.position === "function") {
             // ✅ requirement #2: animate on navigation
             this.board.position(fen, true);
+            this.updatePanels(span.__node);
           } else {
             requestAnimationFrame(apply);
             return;
@@ -465,55 +521,386 @@
       apply();
     }
 
-    next() {
-      if (!this.mainlineMoves.length) return;
+    // ---- Tree navigation -----------------------------------------------------
+    // this.current is the node shown on the board (game.root = start position)
+
+    gotoNode(node) {
+      if (!node || node === this.current) return;
+      if (node === this.game.root) {
+        this.stopAutoplay();
+        this.resetBoard(true);
+        this.syncHash();
+      } else {
+        this.gotoSpan(this.spanOf.get(node));
+      }
+    }
 
-      // from start position -> go to first move
-      if (this.mainlineIndex < 0) this.mainlineIndex = 0;
-      else this.mainlineIndex = Math.min(this.mainlineIndex + 1, this.mainlineMoves.length - 1);
+    // ---- Deep links ------------------------------------------------------------
+    // #game2-34w         reader 2, main line 34.w
+    // #game2.3-34w       its 3rd game (multi-game readers)
+    // #game2-12bv1-14w   12...'s 1st alternative, then 14. in that line
+
+    linkFor(node) {
+      const label = (n) => n.moveNumber + n.color;
+      const parts = [];
+      for (let n = node; n.parent; n = n.parent) {
+        // The first move of a sideline is named by its "v" segment alone
+        if (n.parent.next !== n) parts.unshift(label(n) + "v" + (n.parent.variations.indexOf(n) + 1));
+        else if (n === node) parts.unshift(label(n));
+      }
 
-      this.gotoSpan(this.mainlineMoves[this.mainlineIndex]);
+      return "game" + this.number +
+        (this.games.length > 1 ? "." + (this.gameIndex + 1) : "") +
+        (parts.length ? "-" + parts.join("-") : "");
+    }
+
+    nodeForLink(segments) {
+      let line = this.game.root.next;
+      let node = this.game.root;
+
+      for (const seg of segments) {
+        const m = /^(\d+)([wb])(?:v(\d+))?$/.exec(seg);
+        if (!m) return null;
+
+        let n = line;
+        while (n && !(n.moveNumber === +m[1] && n.color === m[2])) n = n.next;
+        if (!n) return null;
+
+        if (m[3]) {
+          line = n.parent.variations[m[3] - 1];
+          if (!line) return null;
+          node = line;
+        } else {
+          node = n;
+        }
+      }
+      return node;
+    }
+
+    syncHash() {
+      try {
+        history.replaceState(null, "", "#" + this.linkFor(this.current));
+      } catch {}
+    }
+
+    // Shows the game + move of a #game... hash that points at this reader
+    openLink(hash) {
+      const m = /^#game(\d+)(?:\.(\d+))?((?:-\w+)*)$/.exec(hash || "");
+      if (!m || +m[1] !== this.number) return;
+
+      const gi = (parseInt(m[2] || "1", 10) || 1) - 1;
+      if (!this.games[gi]) return;
+      if (gi !== this.gameIndex) this.showGame(gi);
+
+      const node = this.nodeForLink(m[3].split("-").filter(Boolean));
+      if (node) this.gotoNode(node);
+
+      this.wrapper.scrollIntoView({ block: "start" });
+    }
+
+    // ---- Autoplay --------------------------------------------------------------
+    // Steps along the current line; any manual navigation stops it
+
+    play() {
+      if (!this.current.next) this.gotoNode(this.game.root);
+      this.playBtn.textContent = "⏸";
+      this.playBtn.title = "Pause";
+      this.scheduleStep();
+    }
+
+    scheduleStep() {
+      this.autoTimer = setTimeout(() => {
+        const node = this.current.next;
+        if (!node) return this.stopAutoplay();
+
+        this.autoStepping = true;
+        this.gotoNode(node);
+        this.autoStepping = false;
+
+        const pause =
+          !node.next ||
+          (this.pauseOn.includes("comments") && node.comments.length > 0) ||
+          (this.pauseOn.includes("diagrams") && node.diagram);
+        if (pause) this.stopAutoplay();
+        else this.scheduleStep();
+      }, this.interval * 1000);
+    }
+
+    stopAutoplay() {
+      if (!this.autoTimer) return;
+      clearTimeout(this.autoTimer);
+      this.autoTimer = null;
+      this.playBtn.textContent = "⏵";
+      this.playBtn.title = "Play";
+    }
+
+    // Along the current line
+    next() {
+      this.gotoNode(this.current.next);
     }
 
     prev() {
-      if (!this.mainlineMoves.length) return;
+      this.gotoNode(this.current.parent);
+    }
 
-      // if currently at first move -> go back to initial position
-      if (this.mainlineIndex <= 0) {
-        this.mainlineIndex = -1;
+    start() {
+      this.gotoNode(this.game.root);
+    }
 
-        const backToStart = () => {
-          if (!this.board || typeof this.board.position !== "function") {
-            requestAnimationFrame(backToStart);
-            return;
-          }
-          // animate back to start
-          this.board.position("start", true);
-        };
-        backToStart();
+    end() {
+      let n = this.current;
+      while (n.next) n = n.next;
+      this.gotoNode(n);
+    }
 
-        this.moveSpans.forEach((s) => s.classList.remove("reader-move-active"));
-        return;
+    // First alternative to the next move
+    enter() {
+      this.gotoNode(this.current.variations[0]);
+    }
+
+    // Back to the position where the current variation branches off
+    exit() {
+      let n = this.current;
+      while (n.parent && n.parent.next === n) n = n.parent;
+      this.gotoNode(n.parent);
+    }
+
+    // ---- Key positions ([D]) ---------------------------------------------------
+    // Ordered as they appear in the move list; the start position comes first
+
+    collectKeyPositions() {
+      this.moveOrder = new Map(this.moveSpans.map((s, i) => [s.__node, i]));
+      this.moveOrder.set(this.game.root, -1);
+      this.keyNodes = [this.game.root, ...this.moveSpans.map((s) => s.__node)].filter((n) => n.diagram);
+
+      this.buttons.prevKey.hidden = !this.keyNodes.length;
+      this.buttons.nextKey.hidden = !this.keyNodes.length;
+    }
+
+    nextKey() {
+      const i = this.moveOrder.get(this.current);
+      this.gotoNode(this.keyNodes.find((n) => this.moveOrder.get(n) > i));
+    }
+
+    prevKey() {
+      const i = this.moveOrder.get(this.current);
+      this.gotoNode(this.keyNodes.filter((n) => this.moveOrder.get(n) < i).pop());
+    }
+
+    updateButtons() {
+      const n = this.current;
+      let inVariation = false;
+      for (let m = n; m.parent; m = m.parent) if (m.parent.next !== m) inVariation = true;
+
+      this.buttons.start.disabled = !n.parent;
+      this.buttons.prev.disabled = !n.parent;
+      this.buttons.next.disabled = !n.next;
+      this.buttons.end.disabled = !n.next;
+      this.buttons.enter.disabled = !n.variations.length;
+      this.buttons.exit.disabled = !inVariation;
+
+      const i = this.moveOrder.get(n);
+      this.buttons.prevKey.disabled = !this.keyNodes.some((k) => this.moveOrder.get(k) < i);
+      this.buttons.nextKey.disabled = !this.keyNodes.some((k) => this.moveOrder.get(k) > i);
+    }
+
+    resetBoard(animate) {
+      const backToStart = () => {
+        if (!this.board || typeof this.board.position !== "function") {
+          requestAnimationFrame(backToStart);
+          return;
+        }
+        this.board.position(this.game.root.fen, animate);
+        this.updatePanels(this.game.root);
+      };
+      this.current = this.game.root;
+      backToStart();
+
+      this.moveSpans.forEach((s) => s.classList.remove("reader-move-active"));
+    }
+
+    // Board overlays and side panels that follow the current move
+    updatePanels(node) {
+      C.drawMarks(this.boardDiv, C.parseMarks(node.commands));
+      this.updateEval(node);
+      this.updateClocks(node);
+      this.updateButtons();
+
+      const i = this.mainlineMoves.findIndex((s) => s.__node === node);
+      this.chartMarkers.forEach((m) => {
+        m.style.display = i < 0 ? "none" : "";
+        m.setAttribute("x1", i + 0.5);
+        m.setAttribute("x2", i + 0.5);
+      });
+    }
+
+    // ---- Move charts (eval graph, time chart) --------------------------------
+
+    // Chart over the main line in viewBox units: one column per move, y 0..100
+    createChart() {
+      const N = this.mainlineMoves.length;
+      const svg = svgEl("svg", { viewBox: "0 0 " + N + " 100", preserveAspectRatio: "none" });
+      svg.appendChild(svgEl("line", { x1: 0, y1: 50, x2: N, y2: 50, class: "pgn-reader-chart-mid" }));
+      return svg;
+    }
+
+    // Adds the current-move marker and per-move hit areas (above the drawing)
+    finishChart(container, svg, label) {
+      const marker = svgEl("line", { x1: 0, y1: 0, x2: 0, y2: 100, class: "pgn-reader-chart-marker" });
+      marker.style.display = "none";
+      svg.appendChild(marker);
+      this.chartMarkers.push(marker);
+
+      // One hit area per move: tooltip + click to jump there
+      this.mainlineMoves.forEach((span, i) => {
+        const n = span.__node;
+        const hit = svgEl("rect", { x: i, y: 0, width: 1, height: 100, class: "pgn-reader-chart-hit" });
+        const title = svgEl("title", {});
+        title.textContent = C.moveNumberText(n) + (n.color === "w" ? " " : "") + C.displaySAN(n.san) + label(i);
+        hit.appendChild(title);
+        hit.addEventListener("click", () => this.gotoSpan(span));
+        svg.appendChild(hit);
+      });
+
+      container.appendChild(svg);
+    }
+
+    // ---- Evaluation bar + graph ([%eval]) ------------------------------------
+
+    // Eval graph over the main line; hidden when the game has no [%eval]
+    buildEvalGraph() {
+      const evals = this.mainlineMoves.map((s) => C.parseEval(s.__node.commands.eval));
+      const show = evals.some(Boolean);
+
+      if (this.evalBar.hidden === show) {
+        this.evalBar.hidden = !show;
+        if (this.board) this.board.resize();
+      }
+      this.evalGraph.hidden = !show;
+      this.evalGraph.textContent = "";
+      if (!show) return;
+
+      const N = evals.length;
+      const svg = this.createChart();
+
+      // Moves without an eval keep the previous value
+      let last = 0.5;
+      const points = ["0,100"];
+      const nodes = this.mainlineMoves.map((s) => s.__node);
+      evals.forEach((e, i) => {
+        if (e) last = evalFraction(e, nodes[i]);
+        points.push(i + 0.5 + "," + (100 - last * 100));
+      });
+      points.push(N + ",100");
+      svg.appendChild(svgEl("polygon", { points: points.join(" "), class: "pgn-reader-evalgraph-area" }));
+
+      evals.forEach((e, i) => {
+        if (e && e.mate !== null) {
+          svg.appendChild(svgEl("rect", {
+            x: i + 0.2, y: whiteMates(e, nodes[i]) ? 0 : 94, width: 0.6, height: 6,
+            class: "pgn-reader-evalgraph-mate"
+          }));
+        }
+      });
+
+      this.finishChart(this.evalGraph, svg, (i) => (evals[i] ? "  " + formatEval(evals[i]) : ""));
+    }
+
+    updateEval(node) {
+      if (this.evalBar.hidden) return;
+
+      const e = C.parseEval(node.commands.eval);
+      this.evalBar.querySelector(".pgn-reader-evalbar-fill").style.height = evalFraction(e, node) * 100 + "%";
+      this.evalBar.querySelector(".pgn-reader-evalbar-label").textContent = formatEval(e);
+      this.evalBar.title = e ? "Evaluation " + formatEval(e) : "";
+    }
+
+    // ---- Clocks + time chart ([%clk]) ----------------------------------------
+
+    // Time spent per main-line move; hidden when the game has no [%clk]
+    buildTimeChart() {
+      const nodes = this.mainlineMoves.map((s) => s.__node);
+      const clocks = nodes.map((n) => C.parseClock(n.commands.clk));
+      const show = clocks.some((c) => c !== null);
+
+      this.clocksDiv.hidden = !show;
+      this.timeChart.hidden = !show;
+      this.timeChart.textContent = "";
+      if (!show) return;
+
+      // Clock before a move = the same player's previous clock (or the base time)
+      const tc = parseTimeControl(this.game.headers.TimeControl);
+      const prev = { w: tc ? tc.base : null, b: tc ? tc.base : null };
+      const spent = nodes.map((n, i) => {
+        const before = prev[n.color];
+        if (clocks[i] === null) return null;
+        prev[n.color] = clocks[i];
+        return before === null ? null : Math.max(0, before - clocks[i] + (tc ? tc.inc : 0));
+      });
+
+      const max = Math.max(1, ...spent.filter((t) => t !== null));
+      const svg = this.createChart();
+
+      // White's bars grow up from the middle, Black's down
+      spent.forEach((t, i) => {
+        if (!t) return;
+        const h = (t / max) * 50;
+        const w = nodes[i].color === "w";
+        svg.appendChild(svgEl("rect", {
+          x: i + 0.1, y: w ? 50 - h : 50, width: 0.8, height: h,
+          class: w ? "pgn-reader-timechart-white" : "pgn-reader-timechart-black"
+        }));
+      });
+
+      this.finishChart(this.timeChart, svg, (i) => (spent[i] !== null ? "  " + formatClock(spent[i]) : ""));
+    }
+
+    // Both players' remaining time after the current move
+    updateClocks(node) {
+      if (this.clocksDiv.hidden) return;
+
+      const tc = parseTimeControl(this.game.headers.TimeControl);
+      const left = { w: null, b: null };
+      for (let n = node; n.parent; n = n.parent) {
+        const t = C.parseClock(n.commands.clk);
+        if (t !== null && left[n.color] === null) left[n.color] = t;
       }
 
-      this.mainlineIndex = Math.max(this.mainlineIndex - 1, 0);
-      this.gotoSpan(this.mainlineMoves[this.mainlineIndex]);
+      const turn = node.fen.split(" ")[1];
+      ["w", "b"].forEach((side) => {
+        const el = this.clocksDiv.querySelector(side === "w" ? ".pgn-reader-clock-white" : ".pgn-reader-clock-black");
+        const t = left[side] !== null ? left[side] : tc ? tc.base : null;
+        el.textContent = (side === "w" ? "♔ " : "♚ ") + (t !== null ? formatClock(t) : "–");
+        el.classList.toggle("pgn-reader-clock-active", side === turn);
+      });
     }
 
     bindMoveClicks() {
       this.moveSpans.forEach((span) => {
         span.style.cursor = "pointer";
-        span.addEventListener("click", () => {
-          const idx = this.mainlineMoves.indexOf(span);
-          if (idx !== -1) this.mainlineIndex = idx;
-          this.gotoSpan(span);
-        });
+        span.addEventListener("click", () => this.gotoSpan(span));
       });
     }
   }
 
   function init() {
-    document.querySelectorAll("pgn-reader").forEach((el) => new ReaderPGNView(el));
+    document.querySelectorAll("pgn-reader").forEach((el, i) => {
+      if (el.hasAttribute("src")) {
+        C.loadSrc(el)
+          .then((ok) => ok && new ReaderPGNView(el, i + 1))
+          .catch((err) => C.showError(el, err));
+      } else {
+        try {
+          new ReaderPGNView(el, i + 1);
+        } catch (err) {
+          C.showError(el, err);
+        }
+      }
+    });
+
+    window.addEventListener("hashchange", () => {
+      readers.forEach((r) => r && r.openLink(location.hash));
+    });
   }
 
   if (document.readyState === "loading") {
@@ -20,76 +20,47 @@
 
     document
       .querySelectorAll("pgn-training, pgn-training-black")
-      .forEach(el => new TrainingView(el));
+      .forEach(el => {
+        if (el.hasAttribute("src")) {
+          PGNCore.loadSrc(el)
+            .then(ok => ok && new TrainingView(el))
+            .catch(err => PGNCore.showError(el, err));
+        } else {
+          try {
+            new TrainingView(el);
+          } catch (err) {
+            PGNCore.showError(el, err);
+          }
+        }
+      });
   }
 
   // --------------------------------------------------------------------------
   // Helpers
   // --------------------------------------------------------------------------
 
-  function normalizeSAN(tok) {
-    return String(tok || "")
-      .replace(/\[%.*?]/g, "")
-      .replace(/\[D\]/g, "")
-      .replace(/[{}]/g, "")
-      .replace(/[!?]+/g, "")
-      .replace(/[+#]$/, "")
-      .replace(/0/g, "O")
-      .trim();
-  }
+  // Plain-text rendering of a variation line, e.g. "26... Kf7 27. Bxh7 g6"
+  function lineText(node) {
+    const out = [];
+    let interrupted = true;
 
-  function sanitizeComment(t) {
-    const c = String(t || "")
-      .replace(/\[%.*?]/g, "")
-      .replace(/\[D\]/g, "")
-      .replace(/[{}]/g, "")
-      .replace(/\s+/g, " ")
-      .trim();
-    return c || null;
-  }
+    for (let n = node; n; n = n.next) {
+      if (n.color === "w" || interrupted) out.push(PGNCore.moveNumberText(n));
+      out.push(PGNCore.displaySAN(PGNCore.formatMove(n)));
+      interrupted = false;
 
-  function sanitizeVariationText(t) {
-    let x = String(t || "")
-      .replace(/\[%.*?]/g, "")
-      .replace(/\[D\]/g, "")
-      .replace(/\{[^}]*\}/g, "")
-      .replace(/\s+/g, " ")
-      .trim();
-
-    if (!x) return null;
-    if (x.startsWith("(")) x = x.slice(1);
-    if (x.endsWith(")")) x = x.slice(0, -1);
-    return x.trim() || null;
-  }
-
-  function stripHeaders(pgn) {
-    return pgn.replace(/^\s*\[[^\]]*\]\s*$/gm, "");
-  }
-
-  function extractHeaders(pgn) {
-    const h = {};
-    pgn.replace(/^\s*\[(\w+)\s+"([^"]*)"\]\s*$/gm, (_, k, v) => {
-      h[k] = v;
-    });
-    return h;
-  }
+      if (n.comments.length) {
+        out.push(...n.comments);
+        interrupted = true;
+      }
 
-  function captureVariation(raw, i) {
-    let j = i, d = 0;
-    while (j < raw.length) {
-      if (raw[j] === "(") d++;
-      else if (raw[j] === ")") {
-        d--;
-        if (d === 0) return { text: raw.slice(i, j + 1), next: j + 1 };
+      if (n !== node && n.parent.next === n && n.parent.variations.length) {
+        n.parent.variations.forEach(v => out.push("(" + lineText(v) + ")"));
+        interrupted = true;
       }
-      j++;
     }
-    return { text: raw.slice(i), next: raw.length };
-  }
 
-  function resultFromRaw(rawAll) {
-    const m = String(rawAll || "").match(/\b(1-0|0-1|1\/2-1\/2)\b\s*$/);
-    return m ? m[1] : "";
+    return out.join(" ");
   }
 
   function swapCommaName(name) {
@@ -111,18 +82,23 @@
 
   class TrainingView {
     constructor(src) {
-      this.rawText = (src.textContent || "").trim();
-      this.headers = extractHeaders(this.rawText);
+      // Only the first game of a multi-game file is used for training
+      this.rawText = PGNCore.splitGames(src.textContent || "")[0] || "";
+      this.headers = PGNCore.parseHeaders(this.rawText);
 
+      this.sourceEl = src;
       this.flip = src.tagName.toLowerCase() === "pgn-training-black";
       this.userIsWhite = !this.flip;
 
       this.moves = [];
       this.index = -1;
       this.isSolved = false;
+      this.promoting = false;
 
       this.game = new Chess();
-      this.currentFen = "start";
+      this.startFen = PGNCore.START_FEN;
+      this.startChessFen = PGNCore.START_FEN;
+      this.currentFen = this.startFen;
 
       this.currentRow = null;
 
@@ -151,6 +127,7 @@
     build(src) {
       const wrap = document.createElement("div");
       wrap.className = "pgn-training-wrapper";
+      PGNCore.applyBoardTheme(src, wrap);
 
       const header = this.buildHeader();
       if (header) wrap.appendChild(header);
@@ -174,6 +151,7 @@
       `;
 
       wrap.appendChild(cols);
+      src.__pgnWrapper = wrap;
       src.replaceWith(wrap);
 
       this.boardDiv = cols.querySelector(".pgn-training-board");
@@ -212,7 +190,7 @@
           position: "start",
           orientation: this.flip ? "black" : "white",
           draggable: true,
-          pieceTheme: PGNCore.PIECE_THEME_URL,
+          pieceTheme: PGNCore.pieceTheme(this.sourceEl),
           onDragStart: () => this.isGuessTurn(),
           onDrop: (s, t) => this.onUserDrop(s, t),
           onSnapEnd: () => this.board.position(this.currentFen, false)
@@ -221,73 +199,39 @@
     }
 
     parsePGNAsync() {
-      const rawAll = PGNCore.normalizeFigurines(this.rawText);
-      const raw = stripHeaders(rawAll);
-      this.result = resultFromRaw(rawAll);
-
-      const chess = new Chess();
-      let i = 0, ply = 0;
-
-      const step = () => {
-        const start = performance.now();
-
-        while (i < raw.length) {
-          if (performance.now() - start > 8) {
-            requestAnimationFrame(step);
-            return;
-          }
-
-          const ch = raw[i];
-
-          if (ch === "{") {
-            let j = i + 1;
-            while (j < raw.length && raw[j] !== "}") j++;
-            const c = sanitizeComment(raw.slice(i + 1, j));
-            if (c && this.moves.length) this.moves[this.moves.length - 1].comments.push(c);
-            i = j + 1;
-            continue;
-          }
-
-          if (ch === "(") {
-            const cap = captureVariation(raw, i);
-            const v = sanitizeVariationText(cap.text);
-            if (v && this.moves.length) this.moves[this.moves.length - 1].variations.push(v);
-            i = cap.next;
-            continue;
-          }
-
-          if (/\s/.test(ch)) { i++; continue; }
-
-          const s = i;
-          while (i < raw.length && !/\s/.test(raw[i]) && !"(){}".includes(raw[i])) i++;
-          const tok = raw.slice(s, i);
-
-          if (/^\d+\.{1,3}$/.test(tok)) continue;
-
-          const san = normalizeSAN(tok);
-          if (!san) continue;
-
-          let moved = false;
-          try { moved = chess.move(san, { sloppy: true }); } catch {}
-          if (!moved) continue;
-
-          this.moves.push({
-            isWhite: ply % 2 === 0,
-            moveNo: Math.floor(ply / 2) + 1,
-            san: tok,
-            fen: chess.fen(),
-            comments: [],
-            variations: []
-          });
-
-          ply++;
+      requestAnimationFrame(() => {
+        const game = PGNCore.parseGame(this.rawText, { lang: PGNCore.notationLang(this.sourceEl) });
+        this.result = game.result === "*" ? "" : game.result;
+
+        if (game.unsupported) {
+          const p = document.createElement("p");
+          p.className = "pgn-variant-error";
+          p.textContent = "❌ " + game.unsupported;
+          this.rightPane.appendChild(p);
+          return;
         }
 
+        // [SetUp "1"] [FEN "..."] games start from their own position
+        this.startFen = game.startFen;
+        this.startChessFen = PGNCore.chessFen(game.root);
+        this.currentFen = game.startFen;
+        this.game.load(this.startChessFen);
+        this.board.position(game.startFen, false);
+
+        this.moves = PGNCore.mainline(game).map(n => ({
+          isWhite: n.color === "w",
+          moveNo: n.moveNumber,
+          san: PGNCore.displaySAN(PGNCore.formatMove(n)),
+          fen: n.fen,
+          chessFen: PGNCore.chessFen(n),
+          move: n.move,
+          comments: n.comments.slice(),
+          variations: n.parent.variations.map(lineText)
+        }));
+
         this.updateTurn();
         this.autoplayOpponentMoves();
-      };
-
-      requestAnimationFrame(step);
+      });
     }
 
     updateTurn() {
@@ -304,7 +248,7 @@
         if (n.isWhite === this.userIsWhite) break;
 
         this.index++;
-        this.game.move(normalizeSAN(n.san), { sloppy: true });
+        this.game.load(n.chessFen);
         this.currentFen = n.fen;
         this.board.position(n.fen, true);
         this.appendMove();
@@ -314,18 +258,36 @@
     }
 
     onUserDrop(source, target) {
-      if (!this.isGuessTurn() || source === target) return "snapback";
+      if (this.promoting || !this.isGuessTurn() || source === target) return "snapback";
+      if (!this.moves[this.index + 1]) return "snapback";
+
+      // Pawn to the last rank: ask for the piece first, then check the guess
+      const promotions = this.game.moves({ square: source, verbose: true })
+        .filter(m => m.to === target && m.promotion);
+      if (promotions.length) {
+        this.promoting = true;
+        PGNCore.choosePromotion(this.game.turn()).then(piece => {
+          this.promoting = false;
+          if (!piece || this.checkGuess(source, target, piece) === "snapback") {
+            this.board.position(this.currentFen, false);
+          }
+        });
+        return;
+      }
+
+      return this.checkGuess(source, target);
+    }
 
+    checkGuess(source, target, promotion) {
       const expected = this.moves[this.index + 1];
-      if (!expected) return "snapback";
-
-      const legal = this.game.moves({ verbose: true });
-      const ok = legal.some(m => {
-        if (m.from !== source || m.to !== target) return false;
-        const g = new Chess(this.game.fen());
-        g.move(m);
-        return g.fen() === expected.fen;
-      });
+
+      // Castling may also be dropped on the rook (the Chess960 way); other
+      // moves must match the expected from / to / promotion
+      const exp = expected.move;
+      const castled = /[kq]/.test(exp.flags) && source === exp.from &&
+        (target === exp.to || target === exp.rook);
+      const ok = castled ||
+        (source === exp.from && target === exp.to && (promotion || "") === (exp.promotion || ""));
 
       if (!ok) {
         this.setStatus("wrong");
@@ -335,7 +297,7 @@
       this.setStatus("correct");
 
       this.index++;
-      this.game.load(expected.fen);
+      this.game.load(expected.chessFen);
       this.currentFen = expected.fen;
       this.board.position(expected.fen, false);
       this.appendMove();
@@ -356,12 +318,8 @@
       if (next < -1 || next >= this.moves.length) return;
 
       this.index = next;
-      this.game.reset();
-      for (let i = 0; i <= this.index; i++) {
-        this.game.move(normalizeSAN(this.moves[i].san), { sloppy: true });
-      }
-
-      this.currentFen = this.index >= 0 ? this.moves[this.index].fen : "start";
+      this.currentFen = this.index >= 0 ? this.moves[this.index].fen : this.startFen;
+      this.game.load(this.index >= 0 ? this.moves[this.index].chessFen : this.startChessFen);
       this.board.position(this.currentFen, false);
       this.updateTurn();
       this.updateButtons();
@@ -398,7 +356,16 @@
           row.appendChild(sp);
         });
 
-      } else if (this.currentRow) {
+      } else {
+        // Black moves first in games set up from a FEN
+        if (!this.currentRow) {
+          const row = document.createElement("div");
+          row.className = "pgn-move-row";
+          row.dataset.hasAnalysis = "true";
+          this.rightPane.appendChild(row);
+          this.currentRow = row;
+        }
+
         const hasAnalysis = this.currentRow.dataset.hasAnalysis === "true";
 
         const b = document.createElement("span");
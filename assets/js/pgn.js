@@ -1,6 +1,5 @@
 // ============================================================================
 // pgn.js — Static PGN blog renderer (uses PGNCore)
-// Patch: safeChessboard() to prevent Chessboard error 1003
 // ============================================================================
 
 (function () {
@@ -16,80 +15,23 @@
   }
 
   const C = window.PGNCore;
-  const HAS_CHESSBOARD = typeof window.Chessboard === "function";
 
   let diagramCounter = 0;
 
-  // ---- Chessboard 1003 fix (consistent across files) ------------------------
-  function safeChessboard(target, options, tries = 30) {
-    if (!HAS_CHESSBOARD) return null;
+  // [D] diagrams are static SVG boards (no chessboard.js / layout needed)
+  function createDiagram(parent, fen, marks, pieces) {
+    if (!parent || !fen) return;
 
-    const el =
-      typeof target === "string" ? document.getElementById(target) : target;
-
-    if (!el) {
-      if (tries > 0) requestAnimationFrame(() => safeChessboard(target, options, tries - 1));
-      return null;
-    }
-
-    // must be in DOM & have layout
-    const rect = el.getBoundingClientRect();
-    if ((rect.width <= 0 || rect.height <= 0) && tries > 0) {
-      requestAnimationFrame(() => safeChessboard(target, options, tries - 1));
-      return null;
-    }
-
-    try {
-      return window.Chessboard(el, options);
-    } catch (err) {
-      // If layout is still not ready, retry a bit (prevents intermittent 1003)
-      if (tries > 0) {
-        requestAnimationFrame(() => safeChessboard(target, options, tries - 1));
-        return null;
-      }
-      console.warn("pgn.js: Chessboard init failed", err);
-      return null;
-    }
-  }
-  // --------------------------------------------------------------------------
-
-  function createDiagram(parent, fen) {
-    if (!HAS_CHESSBOARD || !parent || !fen) return;
+    const svg = C.renderBoardSVG(fen, { marks, pieces });
+    if (!svg) return;
 
     const id = "pgn-diagram-" + diagramCounter++;
     const div = document.createElement("div");
     div.className = "pgn-diagram";
     div.id = id;
+    div.appendChild(svg);
+    div.appendChild(C.diagramDownloads(svg, id));
     parent.appendChild(div);
-
-    safeChessboard(div, {
-      position: fen,
-      draggable: false,
-      pieceTheme: C.PIECE_THEME_URL
-    });
-  }
-
-  function isSANCore(token) {
-    return C.SAN_CORE_REGEX.test(token);
-  }
-
-  function splitPGNText(text) {
-    const lines = text.split(/\r?\n/);
-    const headers = [];
-    const moves = [];
-    let inHeaders = true;
-
-    for (const line of lines) {
-      const t = line.trim();
-      if (inHeaders && t.startsWith("[") && t.endsWith("]")) headers.push(line);
-      else if (inHeaders && t === "") inHeaders = false;
-      else {
-        inHeaders = false;
-        moves.push(line);
-      }
-    }
-
-    return { headers, moveText: moves.join(" ").replace(/\s+/g, " ").trim() };
   }
 
   function appendText(el, txt) {
@@ -101,7 +43,9 @@
       this.sourceEl = srcEl;
       this.wrapper = document.createElement("div");
       this.wrapper.className = "pgn-blog-block";
-      this.finalResultPrinted = false;
+      this.pieces = C.pieceSet(srcEl);
+      if (this.pieces) this.wrapper.dataset.pieces = this.pieces;
+      C.applyBoardTheme(srcEl, this.wrapper);
 
       this.build();
       this.applyFigurines();
@@ -115,28 +59,14 @@
         return;
       }
 
-      raw = C.normalizeFigurines(raw);
-
-      const { headers, moveText } = splitPGNText(raw);
-      const pgn = (headers.length ? headers.join("\n") + "\n\n" : "") + moveText;
+      this.game = C.parseGame(raw, { lang: C.notationLang(this.sourceEl) });
+      this.wrapper.__pgnGame = this.game;
 
-      const chess = new Chess();
-      try {
-        chess.load_pgn(pgn, { sloppy: true });
-      } catch {}
-
-      let head = {};
-      try {
-        head = chess.header ? chess.header() : {};
-      } catch {}
-
-      const res = C.normalizeResult((head && head.Result) || "");
-      const hasResultAlready = / (1-0|0-1|1\/2-1\/2|½-½|\*)$/.test(moveText);
-      const movetext = hasResultAlready ? moveText : moveText + (res ? " " + res : "");
-
-      this.renderHeader(head);
-      this.parseMovetext(movetext);
+      this.renderHeader(this.game.headers);
+      if (this.game.unsupported) this.renderError(this.game.unsupported);
+      else this.renderGame(this.game);
 
+      this.sourceEl.__pgnWrapper = this.wrapper;
       try {
         this.sourceEl.replaceWith(this.wrapper);
       } catch {
@@ -163,6 +93,13 @@
       this.wrapper.appendChild(H);
     }
 
+    renderError(message) {
+      const p = document.createElement("p");
+      p.className = "pgn-variant-error";
+      appendText(p, "❌ " + message);
+      this.wrapper.appendChild(p);
+    }
+
     ensureContainer(ctx, cls) {
       if (!ctx.container) {
         const p = document.createElement("p");
@@ -172,205 +109,88 @@
       }
     }
 
-    parseComment(text, startIndex, ctx) {
-      let j = startIndex;
-      while (j < text.length && text[j] !== "}") j++;
-
-      let raw = text.substring(startIndex, j).trim();
-      if (text[j] === "}") j++;
-
-      raw = raw.replace(/\[%.*?]/g, "").trim();
-      if (!raw.length) return j;
-
-      const parts = raw.split("[D]");
-      for (let k = 0; k < parts.length; k++) {
-        const c = parts[k].trim();
-
-        if (ctx.type === "variation") {
-          this.ensureContainer(ctx, "pgn-variation");
-          if (c) appendText(ctx.container, " " + c);
-        } else {
-          if (c) {
-            const p = document.createElement("p");
-            p.className = "pgn-comment";
-            appendText(p, c);
-            this.wrapper.appendChild(p);
-          }
-          ctx.container = null;
-        }
-
-        if (k < parts.length - 1) createDiagram(this.wrapper, ctx.chess.fen());
-      }
+    lineClass(ctx) {
+      return ctx.type === "main" ? "pgn-mainline" : "pgn-variation";
+    }
 
-      ctx.lastWasInterrupt = true;
-      return j;
+    // Comments, with the [D] board between the text around it
+    renderComments(node, withDiagram, ctx) {
+      C.commentSegments(node, withDiagram).forEach((c) => {
+        if (c === null) this.renderDiagram(node, ctx);
+        else this.renderComment(c, ctx);
+      });
     }
 
-    handleSAN(tok, ctx) {
-      const core = tok.replace(/[^a-hKQRBN0-9=O0-]+$/g, "").replace(/0/g, "O");
-      if (!isSANCore(core)) {
-        appendText(ctx.container, tok + " ");
-        return null;
+    renderComment(text, ctx) {
+      if (ctx.type === "variation") {
+        this.ensureContainer(ctx, "pgn-variation");
+        appendText(ctx.container, " " + text + " ");
+      } else {
+        const p = document.createElement("p");
+        p.className = "pgn-comment";
+        appendText(p, text);
+        this.wrapper.appendChild(p);
+        ctx.container = null;
       }
+      ctx.lastWasInterrupt = true;
+    }
 
-      const base = ctx.baseHistoryLen || 0;
-      const count = ctx.chess.history().length;
-      const ply = base + count;
-      const white = ply % 2 === 0;
-      const num = Math.floor(ply / 2) + 1;
-
-      if (white) appendText(ctx.container, num + "." + C.NBSP);
-      else if (ctx.lastWasInterrupt) appendText(ctx.container, num + "..." + C.NBSP);
+    renderDiagram(node, ctx) {
+      createDiagram(this.wrapper, node.fen, C.parseMarks(node.commands), this.pieces);
+      ctx.lastWasInterrupt = true;
+      ctx.container = null;
+    }
 
-      ctx.prevFen = ctx.chess.fen();
-      ctx.prevHistoryLen = ply;
+    renderMove(node, ctx) {
+      node.commentsBefore.forEach((c) => this.renderComment(c, ctx));
+      this.ensureContainer(ctx, this.lineClass(ctx));
 
-      const mv = ctx.chess.move(core, { sloppy: true });
-      if (!mv) {
-        appendText(ctx.container, tok + " ");
-        return null;
+      if (node.color === "w" || ctx.lastWasInterrupt) {
+        appendText(ctx.container, C.moveNumberText(node) + C.NBSP);
       }
 
-      ctx.lastWasInterrupt = false;
-
       const span = document.createElement("span");
       span.className = "pgn-move";
-      const unbreak = typeof C.makeCastlingUnbreakable === "function" ? C.makeCastlingUnbreakable : (x) => x;
-      span.textContent = unbreak(tok) + " ";
+      span.__node = node;
+      span.textContent = C.makeCastlingUnbreakable(C.formatMove(node)) + " ";
       ctx.container.appendChild(span);
+      ctx.lastWasInterrupt = false;
+
+      node.nags.forEach((code) => {
+        if (code > 6 && C.NAG_MAP[code]) appendText(ctx.container, C.NAG_MAP[code] + " ");
+      });
+      node.symbols.forEach((sym) => appendText(ctx.container, sym + " "));
+      this.renderComments(node, node.diagram, ctx);
 
       return span;
     }
 
-    parseMovetext(t) {
-      const chess = new Chess();
-
-      let ctx = {
-        type: "main",
-        chess,
-        container: null,
-        parent: null,
-        lastWasInterrupt: false,
-        prevFen: chess.fen(),
-        prevHistoryLen: 0,
-        baseHistoryLen: null
-      };
-
-      let i = 0;
-      while (i < t.length) {
-        const ch = t[i];
-
-        if (/\s/.test(ch)) {
-          while (i < t.length && /\s/.test(t[i])) i++;
-          this.ensureContainer(ctx, ctx.type === "main" ? "pgn-mainline" : "pgn-variation");
-          appendText(ctx.container, " ");
-          continue;
-        }
-
-        if (ch === "(") {
-          i++;
-          const fen = ctx.prevFen || ctx.chess.fen();
-          const len = typeof ctx.prevHistoryLen === "number" ? ctx.prevHistoryLen : ctx.chess.history().length;
-
-          ctx = {
-            type: "variation",
-            chess: new Chess(fen),
-            container: null,
-            parent: ctx,
-            lastWasInterrupt: true,
-            prevFen: fen,
-            prevHistoryLen: len,
-            baseHistoryLen: len
-          };
-          this.ensureContainer(ctx, "pgn-variation");
-          continue;
-        }
+    // Walks one line; alternatives to a move are printed right after it
+    renderLine(node, ctx) {
+      for (let n = node; n; n = n.next) {
+        this.renderMove(n, ctx);
 
-        if (ch === ")") {
-          i++;
-          if (ctx.parent) {
-            ctx = ctx.parent;
-            ctx.lastWasInterrupt = true;
-            ctx.container = null;
-          }
-          continue;
-        }
+        if (n.parent.next !== n || !n.parent.variations.length) continue;
 
-        if (ch === "{") {
-          i = this.parseComment(t, i + 1, ctx);
-          continue;
-        }
+        n.parent.variations.forEach((v) => {
+          this.renderLine(v, { type: "variation", container: null, lastWasInterrupt: true });
+        });
+        ctx.lastWasInterrupt = true;
+        ctx.container = null;
+      }
+    }
 
-        const start = i;
-        while (i < t.length && !/\s/.test(t[i]) && !"(){}".includes(t[i])) i++;
-        const tok = t.substring(start, i);
-        if (!tok) continue;
+    renderGame(game) {
+      const ctx = { type: "main", container: null, lastWasInterrupt: true };
 
-        if (/^\[%.*]$/.test(tok)) continue;
+      // Games from a [FEN] position always show where they start
+      this.renderComments(game.root, game.root.diagram || game.startFen !== C.START_FEN, ctx);
 
-        if (tok === "[D]") {
-          createDiagram(this.wrapper, ctx.chess.fen());
-          ctx.lastWasInterrupt = true;
-          ctx.container = null;
-          continue;
-        }
+      this.renderLine(game.root.next, ctx);
 
-        if (C.RESULT_REGEX.test(tok)) {
-          if (!this.finalResultPrinted) {
-            this.finalResultPrinted = true;
-            this.ensureContainer(ctx, ctx.type === "main" ? "pgn-mainline" : "pgn-variation");
-            appendText(ctx.container, tok + " ");
-          }
-          continue;
-        }
-
-        if (C.MOVE_NUMBER_REGEX.test(tok)) continue;
-
-        const core = tok.replace(/[^a-hKQRBN0-9=O0-]+$/g, "").replace(/0/g, "O");
-        const san = isSANCore(core);
-
-        if (!san) {
-          if (C.EVAL_MAP[tok]) {
-            this.ensureContainer(ctx, ctx.type === "main" ? "pgn-mainline" : "pgn-variation");
-            appendText(ctx.container, C.EVAL_MAP[tok] + " ");
-            continue;
-          }
-
-          if (tok[0] === "$") {
-            const code = +tok.slice(1);
-            if (C.NAG_MAP[code]) {
-              this.ensureContainer(ctx, ctx.type === "main" ? "pgn-mainline" : "pgn-variation");
-              appendText(ctx.container, C.NAG_MAP[code] + " ");
-            }
-            continue;
-          }
-
-          if (/[A-Za-zÇĞİÖŞÜçğıöşü]/.test(tok)) {
-            if (ctx.type === "variation") {
-              this.ensureContainer(ctx, "pgn-variation");
-              appendText(ctx.container, " " + tok);
-            } else {
-              const p = document.createElement("p");
-              p.className = "pgn-comment";
-              appendText(p, tok);
-              this.wrapper.appendChild(p);
-              ctx.container = null;
-              ctx.lastWasInterrupt = false;
-            }
-          } else {
-            this.ensureContainer(ctx, ctx.type === "main" ? "pgn-mainline" : "pgn-variation");
-            appendText(ctx.container, tok + " ");
-          }
-
-          continue;
-        }
-
-        this.ensureContainer(ctx, ctx.type === "main" ? "pgn-mainline" : "pgn-variation");
-        const m = this.handleSAN(tok, ctx);
-        if (!m) {
-          const unbreak = typeof C.makeCastlingUnbreakable === "function" ? C.makeCastlingUnbreakable : (x) => x;
-          appendText(ctx.container, unbreak(tok) + " ");
-        }
+      if (game.result) {
+        this.ensureContainer(ctx, "pgn-mainline");
+        appendText(ctx.container, C.normalizeResult(game.result));
       }
     }
 
@@ -378,10 +198,8 @@
       if (this.wrapper.__pgnFigurined) return;
       this.wrapper.__pgnFigurined = true;
 
-      const map = { K: "♔", Q: "♕", R: "♖", B: "♗", N: "♘" };
       this.wrapper.querySelectorAll(".pgn-move").forEach(span => {
-        const m = span.textContent.match(/^([KQRBN])(.+?)(\s*)$/);
-        if (m) span.textContent = map[m[1]] + m[2] + (m[3] || "");
+        span.textContent = C.displaySAN(span.textContent);
       });
     }
   }
@@ -390,7 +208,18 @@
     (root || document).querySelectorAll("pgn").forEach(el => {
       if (el.__pgnRendered) return;
       el.__pgnRendered = true;
-      new PGNGameView(el);
+
+      if (el.hasAttribute("src")) {
+        C.loadSrc(el)
+          .then(ok => ok && new PGNGameView(el))
+          .catch(err => C.showError(el, err));
+      } else {
+        try {
+          new PGNGameView(el);
+        } catch (err) {
+          C.showError(el, err);
+        }
+      }
     });
   }
 
@@ -5,9 +5,12 @@
     console.warn("JekyllChess: chess.js or chessboard.js missing");
     return;
   }
+  if (!window.PGNCore) {
+    console.error("JekyllChess: PGNCore missing");
+    return;
+  }
 
-  const PIECE_THEME =
-    "https://chessboardjs.com/img/chesspieces/wikipedia/{piece}.png";
+  const C = window.PGNCore;
 
   const ANIM_MS = 250;
 
@@ -36,23 +39,36 @@
       .trim();
   }
 
-  function tokenizeMoves(text) {
-    let s = String(text || "");
-    s = s.replace(/\{[\s\S]*?\}/g, " ");
-    s = s.replace(/;[^\n]*/g, " ");
-    while (/\([^()]*\)/.test(s)) s = s.replace(/\([^()]*\)/g, " ");
-    s = s.replace(/\$\d+/g, " ");
-    s = s.replace(/\s+/g, " ").trim();
-
-    return s
-      .split(" ")
-      .map((t) => t.replace(/^\d+\.(\.\.)?/, ""))
-      .filter(
-        (t) =>
-          t &&
-          !/^(1-0|0-1|1\/2-1\/2|\*)$/.test(t) &&
-          !/^\.\.\.$/.test(t)
-      );
+  // Solution tree parsed by PGNCore from the given position. Variations are
+  // accepted alternatives (solver moves) or other defences (replies).
+  function solutionTree(fen, movetext) {
+    return C.parseGame(movetext, { fen }).root;
+  }
+
+  // Moves the tree allows after node: the main move, then its variations
+  function choices(node) {
+    return node.next ? [node.next, ...node.variations] : [];
+  }
+
+  // Branch entered by a solver move, or null when the move is wrong. When
+  // the expected move mates, any mating move is as good.
+  function solverBranch(node, mv, game) {
+    const options = choices(node);
+    const san = normalizeSAN(mv.san);
+    const branch = options.find((n) => normalizeSAN(n.san) === san);
+    if (branch) return branch;
+
+    if (game.in_checkmate()) return options.find((n) => /#$/.test(n.san)) || null;
+    return null;
+  }
+
+  function shuffled(list) {
+    const out = list.slice();
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
   }
 
   function hardSync(board, game) {
@@ -80,7 +96,10 @@
   /* Local puzzle renderer (NO layout jump)              */
   /* -------------------------------------------------- */
 
-  function renderLocalPuzzle(container, fen, moves, counterText, afterReady) {
+  // hooks.onMistake() runs on each wrong move; hooks.onFinish({ solved,
+  // hints, mistakes, revealed }) when the line is complete. solved is false
+  // after a wrong move or a shown solution; hints counts hint clicks.
+  function renderLocalPuzzle(container, fen, root, counterText, afterReady, hooks = {}) {
     // Preserve container height to avoid jump
     const prevHeight = container.offsetHeight;
     if (prevHeight) container.style.minHeight = prevHeight + "px";
@@ -98,11 +117,18 @@
 
     const game = new Chess(fen);
     const solverSide = game.turn();
-    let index = 0;
+    let node = root;
     let locked = false;
     let solved = false;
     let board;
 
+    // Hints, mistakes and "show solution" count for the whole puzzle, across
+    // resets
+    let hints = 0;
+    let mistakes = 0;
+    let hintLevel = 0;
+    let revealed = false;
+
     const status = document.createElement("div");
     status.style.display = "flex";
     status.style.alignItems = "center";
@@ -110,14 +136,35 @@
     status.style.marginTop = "6px";
 
     const counter = document.createElement("span");
+    counter.className = "jc-counter";
     counter.textContent = counterText || "";
 
     const turn = document.createElement("span");
     const feedback = document.createElement("span");
 
-    status.append(counter, turn, feedback);
+    const controls = document.createElement("span");
+    controls.className = "jc-controls";
+
+    function controlButton(text, title, onClick) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.textContent = text;
+      btn.title = title;
+      btn.onclick = onClick;
+      controls.appendChild(btn);
+      return btn;
+    }
+
+    const hintBtn = controlButton("💡", "Hint", showHint);
+    const solutionBtn = controlButton("👁", "Show solution", showSolution);
+    controlButton("↺", "Reset", reset);
+
+    status.append(counter, turn, feedback, controls);
 
     function updateTurn() {
+      hintBtn.disabled = solved;
+      solutionBtn.disabled = solved;
+
       if (solved) {
         turn.textContent = "";
         return;
@@ -126,25 +173,97 @@
         game.turn() === "w" ? "⚐ White to move" : "⚑ Black to move";
     }
 
-    function finishSolved() {
+    function finish(text) {
       solved = true;
-      feedback.textContent = "Puzzle solved! 🏆";
+      feedback.textContent = text;
+      updateTurn();
+      hooks.onFinish && hooks.onFinish({ solved: !revealed && !mistakes, hints, mistakes, revealed });
+    }
+
+    function finishSolved() {
+      finish("Puzzle solved! 🏆");
+    }
+
+    /* ---- Hint, solution, reset ---- */
+
+    function markSquare(square) {
+      const el = boardDiv.querySelector(".square-" + square);
+      if (el) el.classList.add("jc-hint");
+    }
+
+    function clearHint() {
+      hintLevel = 0;
+      boardDiv.querySelectorAll(".jc-hint").forEach((el) => el.classList.remove("jc-hint"));
+    }
+
+    // First the piece to move, then its target square
+    function showHint() {
+      if (locked || solved || !node.next || hintLevel >= 2) return;
+
+      const mv = node.next.move;
+      hintLevel++;
+      hints++;
+      markSquare(hintLevel === 1 ? mv.from : mv.to);
+      feedback.textContent = "Hint 💡";
+    }
+
+    // Plays the rest of the main line, one animated move at a time
+    function showSolution() {
+      if (locked || solved) return;
+
+      locked = true;
+      revealed = true;
+      clearHint();
+      feedback.textContent = "Solution 👁";
+
+      (function step() {
+        const next = node.next;
+        const mv = next && game.move(next.san, { sloppy: true });
+        if (!mv) {
+          locked = false;
+          finish("Solution shown 👁");
+          return;
+        }
+
+        node = next;
+        board.move(mv.from + "-" + mv.to);
+        setTimeout(() => {
+          hardSync(board, game);
+          updateTurn();
+          setTimeout(step, ANIM_MS);
+        }, ANIM_MS);
+      })();
+    }
+
+    function reset() {
+      if (locked) return;
+
+      game.load(fen);
+      node = root;
+      solved = false;
+      clearHint();
+      feedback.textContent = "";
+      board.position(fen);
       updateTurn();
     }
 
+    // Defender replies from a variation are picked at random, so another
+    // try may meet another defence
     function autoReply() {
-      if (index >= moves.length) {
+      const replies = choices(node);
+      if (!replies.length) {
         finishSolved();
         return;
       }
 
-      const mv = game.move(moves[index], { sloppy: true });
+      const reply = replies[Math.floor(Math.random() * replies.length)];
+      const mv = game.move(reply.san, { sloppy: true });
       if (!mv) {
         finishSolved();
         return;
       }
 
-      index++;
+      node = reply;
       board.move(mv.from + "-" + mv.to);
 
       setTimeout(() => {
@@ -157,22 +276,42 @@
     function onDrop(from, to) {
       if (locked || solved || game.turn() !== solverSide) return "snapback";
 
-      const expected = moves[index];
-      const mv = game.move({ from, to, promotion: "q" });
+      // Pawn to the last rank: ask for the piece, then check the move
+      const piece = game.get(from);
+      if (piece && piece.type === "p" && (to[1] === "8" || to[1] === "1")) {
+        if (!game.moves({ square: from, verbose: true }).some((m) => m.to === to)) return "snapback";
+
+        locked = true;
+        C.choosePromotion(piece.color).then((promotion) => {
+          locked = false;
+          if (!promotion || playMove({ from, to, promotion }) === "snapback") hardSync(board, game);
+        });
+        return;
+      }
+
+      return playMove({ from, to, promotion: "q" });
+    }
+
+    function playMove(move) {
+      const mv = game.move(move);
       if (!mv) return "snapback";
 
-      if (normalizeSAN(mv.san) !== normalizeSAN(expected)) {
+      const branch = solverBranch(node, mv, game);
+      if (!branch) {
         game.undo();
         feedback.textContent = "Wrong move ❌";
+        mistakes++;
+        hooks.onMistake && hooks.onMistake();
         hardSync(board, game);
         return "snapback";
       }
 
-      index++;
+      node = branch;
+      clearHint();
       feedback.textContent = "Correct! ✅";
       hardSync(board, game);
 
-      if (index >= moves.length) {
+      if (!node.next) {
         finishSolved();
         return true;
       }
@@ -187,7 +326,7 @@
       {
         draggable: true,
         position: fen,
-        pieceTheme: PIECE_THEME,
+        pieceTheme: C.pieceTheme(container),
         onDrop,
         onSnapEnd: () => hardSync(board, game),
       },
@@ -203,47 +342,275 @@
   }
 
   /* -------------------------------------------------- */
-  /* Remote PGN renderer (NO jump)                       */
+  /* Pack progress + daily streak (localStorage)         */
   /* -------------------------------------------------- */
 
-  function splitIntoPgnGames(text) {
-    return String(text || "")
-      .replace(/\r/g, "")
-      .trim()
-      .split(/\n\s*\n(?=\s*\[)/)
-      .map((s) => s.trim())
-      .filter(Boolean);
+  // { packs: { [url]: { [index]: { status, attempts, hints } } },
+  //   streak: { last: "YYYY-MM-DD", days, best } }
+  // status is "solved" (no wrong move, no shown solution) or "failed"; a
+  // later clean solve turns "failed" into "solved". An attempt ends with a
+  // wrong move or with the end of the line.
+  const PROGRESS_KEY = "puzzleProgress";
+
+  function loadProgress() {
+    try {
+      const data = JSON.parse(localStorage.getItem(PROGRESS_KEY));
+      if (data && data.packs && data.streak) return data;
+    } catch (e) {
+      // unreadable or blocked storage: start fresh
+    }
+    return { packs: {}, streak: { last: "", days: 0, best: 0 } };
   }
 
-  function extractMovetext(pgn) {
-    return String(pgn || "")
-      .replace(/^\s*(?:\[[^\n]*\]\s*\n)+/m, "")
-      .trim();
+  function saveProgress(data) {
+    try {
+      localStorage.setItem(PROGRESS_KEY, JSON.stringify(data));
+    } catch (e) {
+      // private mode / full storage: progress lasts for this page only
+    }
+  }
+
+  function dayKey(date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate());
+  }
+
+  function yesterdayKey() {
+    const d = new Date();
+    d.setDate(d.getDate() - 1);
+    return dayKey(d);
+  }
+
+  // Days in a row with at least one solved puzzle
+  function bumpStreak(streak) {
+    const today = dayKey(new Date());
+    if (streak.last === today) return;
+    streak.days = streak.last === yesterdayKey() ? streak.days + 1 : 1;
+    streak.last = today;
+    streak.best = Math.max(streak.best, streak.days);
   }
 
-  function parseGame(pgn) {
-    const fenMatch = pgn.match(/\[FEN\s+"([^"]+)"\]/);
+  // The streak is over once a whole day went by without a solve
+  function currentStreak(streak) {
+    const alive = streak.last === dayKey(new Date()) || streak.last === yesterdayKey();
+    return alive ? streak.days : 0;
+  }
+
+  function packProgress(url) {
+    const data = loadProgress();
+    const pack = data.packs[url] || (data.packs[url] = {});
+
+    function entry(index) {
+      return pack[index] || (pack[index] = { status: "failed", attempts: 0, hints: 0 });
+    }
+
     return {
-      fen: fenMatch ? fenMatch[1] : "start",
-      moves: tokenizeMoves(extractMovetext(pgn)),
+      status: (index) => (pack[index] ? pack[index].status : ""),
+
+      mistake(index) {
+        entry(index).attempts++;
+        saveProgress(data);
+      },
+
+      finish(index, result, newHints) {
+        const rec = entry(index);
+        rec.attempts++;
+        rec.hints += newHints;
+        if (result.solved) {
+          rec.status = "solved";
+          bumpStreak(data.streak);
+        }
+        saveProgress(data);
+      },
+
+      // Over the given puzzle numbers (a filtered pack shows its own share)
+      stats(numbers) {
+        const recs = numbers.map((n) => pack[n]).filter(Boolean);
+        const solved = recs.filter((r) => r.status === "solved");
+        return {
+          total: numbers.length,
+          solved: solved.length,
+          failed: recs.length - solved.length,
+          // First try: solved in one attempt without hints
+          firstTry: solved.filter((r) => r.attempts === 1 && !r.hints).length,
+          hints: recs.reduce((sum, r) => sum + r.hints, 0),
+          streak: currentStreak(data.streak),
+          best: data.streak.best
+        };
+      }
     };
   }
 
-  async function renderRemotePGN(container, url) {
+  const STATUS_MARKS = { solved: " ✅", failed: " ❌" };
+
+  function renderStats(panel, s) {
+    panel.textContent = "";
+    [
+      `Solved: ${s.solved} / ${s.total}`,
+      `Failed: ${s.failed}`,
+      `First try: ${s.firstTry}`,
+      `Hints used: ${s.hints}`,
+      `Streak: ${s.streak} ${s.streak === 1 ? "day" : "days"} (best ${s.best})`
+    ].forEach((line) => {
+      const div = document.createElement("div");
+      div.textContent = line;
+      panel.appendChild(div);
+    });
+  }
+
+  /* -------------------------------------------------- */
+  /* Remote PGN renderer (NO jump)                       */
+  /* -------------------------------------------------- */
+
+  // number: place in the pack file, kept through filtering for progress
+  function parseGame(pgn, number) {
+    const game = C.parseGame(pgn);
+    return {
+      number,
+      fen: game.startFen,
+      root: game.root,
+      headers: game.headers,
+    };
+  }
+
+  // Rejects on an HTTP or network error (see C.fetchPGN)
+  async function loadPack(url) {
+    const text = await C.fetchPGN(url);
+    return C.splitGames(text).map((pgn, i) => parseGame(pgn, i));
+  }
+
+  // The pack's puzzles, or null after showing why it could not be loaded
+  async function loadPuzzles(container, url) {
+    try {
+      return await loadPack(url);
+    } catch (err) {
+      container.textContent = `❌ Could not load ${url} (${err.message}) ❌`;
+      return null;
+    }
+  }
+
+  // An empty pack, told apart from one its filter options empty
+  function noPuzzlesText(pack) {
+    return pack.length
+      ? "❌ No puzzles match this block's Themes / Rating / Event / Range options! ❌"
+      : "❌ No puzzles in this pack! ❌";
+  }
+
+  /* ---- Pack options: Themes / Rating / Event / Range / Shuffle ---- */
+
+  const PACK_OPTIONS = /^(Themes|Rating|Event|Range|Shuffle):\s*(.+)$/i;
+
+  // Option lines of a pack block, e.g. "Themes: fork pin", "Rating:
+  // 1500-1800", "Event: Titled Arena", "Range: 10-30", "Shuffle: true"
+  function packOptions(raw) {
+    const opts = {};
+    raw.split("\n").forEach((line) => {
+      const m = line.trim().match(PACK_OPTIONS);
+      if (m) opts[m[1].toLowerCase()] = m[2].trim();
+    });
+    return opts;
+  }
+
+  // "10-30", "1500-", "-30" or "12" -> [min, max]
+  function parseRange(text) {
+    const m = String(text).match(/^(\d*)\s*-\s*(\d*)$/);
+    if (m) return [m[1] ? +m[1] : -Infinity, m[2] ? +m[2] : Infinity];
+    const n = parseInt(text, 10);
+    return isNaN(n) ? [-Infinity, Infinity] : [n, n];
+  }
+
+  const inRange = (n, [min, max]) => n >= min && n <= max;
+
+  function tag(puzzle, name) {
+    const v = puzzle.headers[name];
+    return v && v !== "?" ? v : "";
+  }
+
+  // Range counts puzzles in the file from 1; Themes keeps puzzles with any
+  // of the listed themes; Event matches part of the name
+  function selectPuzzles(puzzles, opts) {
+    let out = puzzles;
+
+    if (opts.range) {
+      const range = parseRange(opts.range);
+      out = out.filter((p) => inRange(p.number + 1, range));
+    }
+    if (opts.themes) {
+      const wanted = opts.themes.toLowerCase().split(/[\s,]+/).filter(Boolean);
+      out = out.filter((p) => {
+        const themes = tag(p, "Themes").toLowerCase().split(/[\s,]+/);
+        return wanted.some((t) => themes.includes(t));
+      });
+    }
+    if (opts.rating) {
+      const range = parseRange(opts.rating);
+      out = out.filter((p) => tag(p, "Rating") && inRange(parseInt(tag(p, "Rating"), 10), range));
+    }
+    if (opts.event) {
+      const event = opts.event.toLowerCase();
+      out = out.filter((p) => tag(p, "Event").toLowerCase().includes(event));
+    }
+
+    return /^(true|yes|1)$/i.test(opts.shuffle || "") ? shuffled(out) : out;
+  }
+
+  const SHOWN_TAGS = ["Event", "Rating", "Themes"];
+
+  function puzzleTags(puzzle) {
+    const box = document.createElement("div");
+    box.className = "jc-tags";
+    SHOWN_TAGS.forEach((name) => {
+      const value = tag(puzzle, name);
+      if (!value) return;
+      const span = document.createElement("span");
+      span.className = "jc-tag";
+      span.textContent = name + ": " + (name === "Themes" ? value.split(/\s+/).join(", ") : value);
+      box.appendChild(span);
+    });
+    return box;
+  }
+
+  async function renderRemotePGN(container, url, opts) {
     container.textContent = "Loading...";
 
-    const res = await fetch(url, { cache: "no-store" });
-    const text = await res.text();
+    const pack = await loadPuzzles(container, url);
+    if (!pack) return;
+
+    const puzzles = selectPuzzles(pack, opts);
+    if (!puzzles.length) {
+      container.textContent = noPuzzlesText(pack);
+      return;
+    }
+
+    const progress = packProgress(url);
+    const numbers = puzzles.map((p) => p.number);
+
+    // Resume at the first puzzle not solved yet
+    let index = Math.max(0, puzzles.findIndex((p) => progress.status(p.number) !== "solved"));
+    let showStats = false;
 
-    const puzzles = splitIntoPgnGames(text).map(parseGame);
-    let index = 0;
+    const counterText = () =>
+      `${index + 1} / ${puzzles.length}` + (STATUS_MARKS[progress.status(puzzles[index].number)] || "");
 
     function renderCurrent() {
+      const current = puzzles[index].number;
+      let hintsSaved = 0;
+
+      const stats = document.createElement("div");
+      stats.className = "jc-stats";
+      stats.hidden = !showStats;
+
+      const refresh = () => {
+        const counter = container.querySelector(".jc-counter");
+        if (counter) counter.textContent = counterText();
+        renderStats(stats, progress.stats(numbers));
+      };
+
       renderLocalPuzzle(
         container,
         puzzles[index].fen,
-        puzzles[index].moves,
-        `${index + 1} / ${puzzles.length}`,
+        puzzles[index].root,
+        counterText(),
         (statusRow) => {
           const prev = document.createElement("button");
           prev.textContent = "↶";
@@ -261,7 +628,28 @@
             renderCurrent();
           };
 
-          statusRow.append(prev, next);
+          const statsBtn = document.createElement("button");
+          statsBtn.textContent = "📊";
+          statsBtn.title = "Statistics";
+          statsBtn.onclick = () => {
+            showStats = !showStats;
+            stats.hidden = !showStats;
+          };
+
+          statusRow.append(prev, next, statsBtn);
+          container.append(puzzleTags(puzzles[index]), stats);
+          refresh();
+        },
+        {
+          onMistake: () => {
+            progress.mistake(current);
+            refresh();
+          },
+          onFinish: (result) => {
+            progress.finish(current, result, result.hints - hintsSaved);
+            hintsSaved = result.hints;
+            refresh();
+          }
         }
       );
     }
@@ -269,6 +657,206 @@
     renderCurrent();
   }
 
+  /* -------------------------------------------------- */
+  /* Puzzle rush: <puzzle mode="rush">                   */
+  /* -------------------------------------------------- */
+
+  // time="180" (seconds), mistakes="3" (ends the run), shuffle (random
+  // order). A wrong move costs a mistake and moves on to the next puzzle.
+  const RUSH_KEY = "puzzleRushScores";
+  const RUSH_TOP = 5;
+
+  function rushOptions(node) {
+    const num = (name, def) => {
+      const n = parseInt(node.getAttribute(name), 10);
+      return n > 0 ? n : def;
+    };
+    return {
+      time: num("time", 180),
+      mistakes: num("mistakes", 3),
+      shuffle: node.hasAttribute("shuffle") && node.getAttribute("shuffle") !== "false"
+    };
+  }
+
+  function formatClock(ms) {
+    const sec = Math.max(0, Math.ceil(ms / 1000));
+    return Math.floor(sec / 60) + ":" + String(sec % 60).padStart(2, "0");
+  }
+
+  // High scores per pack URL: [{ score, mistakes, date }], best first
+  function loadScores(url) {
+    try {
+      const all = JSON.parse(localStorage.getItem(RUSH_KEY)) || {};
+      return Array.isArray(all[url]) ? all[url] : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  // Adds a run; returns its place in the table (0-based) or -1
+  function saveScore(url, run) {
+    let all;
+    try {
+      all = JSON.parse(localStorage.getItem(RUSH_KEY)) || {};
+    } catch (e) {
+      all = {};
+    }
+
+    const scores = (Array.isArray(all[url]) ? all[url] : []).concat(run);
+    scores.sort((a, b) => b.score - a.score || a.mistakes - b.mistakes);
+    all[url] = scores.slice(0, RUSH_TOP);
+
+    try {
+      localStorage.setItem(RUSH_KEY, JSON.stringify(all));
+    } catch (e) {
+      // blocked storage: the table only lives for this page
+    }
+    return all[url].indexOf(run);
+  }
+
+  function scoreTable(scores, highlight) {
+    const table = document.createElement("table");
+    table.className = "jc-rush-scores";
+    scores.forEach((r, i) => {
+      const tr = table.insertRow();
+      if (i === highlight) tr.className = "jc-rush-new";
+      [i + 1 + ".", r.score, "❌ " + r.mistakes, r.date].forEach((v) => {
+        tr.insertCell().textContent = v;
+      });
+    });
+    return table;
+  }
+
+  async function renderRush(container, url, opts, filters) {
+    container.textContent = "Loading...";
+
+    const pack = await loadPuzzles(container, url);
+    if (!pack) return;
+
+    const puzzles = selectPuzzles(pack, filters);
+    if (!puzzles.length) {
+      container.textContent = noPuzzlesText(pack);
+      return;
+    }
+
+    function startScreen() {
+      container.innerHTML = "";
+
+      const intro = document.createElement("div");
+      intro.className = "jc-rush-intro";
+      intro.textContent =
+        `Puzzle rush: ${formatClock(opts.time * 1000)}, ` +
+        `${opts.mistakes} ${opts.mistakes === 1 ? "mistake" : "mistakes"} allowed, ` +
+        `${puzzles.length} puzzles${opts.shuffle ? " in random order" : ""}`;
+
+      const start = document.createElement("button");
+      start.textContent = "▶ Start";
+      start.onclick = run;
+
+      container.append(intro, start);
+
+      const scores = loadScores(url);
+      if (scores.length) container.append(scoreTable(scores, -1));
+    }
+
+    function run() {
+      const order = opts.shuffle ? shuffled(puzzles) : puzzles.slice();
+      const deadline = Date.now() + opts.time * 1000;
+      let served = 0;
+      let score = 0;
+      let mistakes = 0;
+      let over = false;
+
+      container.innerHTML = "";
+
+      const bar = document.createElement("div");
+      bar.className = "jc-rush-bar";
+      const clock = document.createElement("span");
+      clock.className = "jc-rush-clock";
+      const scoreEl = document.createElement("span");
+      const livesEl = document.createElement("span");
+      bar.append(clock, scoreEl, livesEl);
+
+      const area = document.createElement("div");
+      container.append(bar, area);
+
+      function updateBar() {
+        clock.textContent = "⏱ " + formatClock(deadline - Date.now());
+        scoreEl.textContent = "✅ " + score;
+        livesEl.textContent = "❌ " + mistakes + " / " + opts.mistakes;
+      }
+
+      const timer = setInterval(() => {
+        updateBar();
+        if (Date.now() >= deadline) end("Time's up");
+      }, 250);
+
+      function end(reason) {
+        if (over) return;
+        over = true;
+        clearInterval(timer);
+        updateBar();
+
+        const entry = { score, mistakes, date: dayKey(new Date()) };
+        const place = saveScore(url, entry);
+
+        area.innerHTML = "";
+        const summary = document.createElement("div");
+        summary.className = "jc-rush-summary";
+        summary.textContent =
+          `${reason}! Score: ${score} of ${served} puzzles` +
+          (place === 0 ? " — new high score! 🏆" : "");
+
+        const again = document.createElement("button");
+        again.textContent = "↺ Again";
+        again.onclick = startScreen;
+
+        area.append(summary, scoreTable(loadScores(url), place), again);
+      }
+
+      function next() {
+        if (over) return;
+        if (served >= order.length) {
+          end("All puzzles done");
+          return;
+        }
+
+        const puzzle = order[served++];
+        let missed = false;
+
+        renderLocalPuzzle(
+          area,
+          puzzle.fen,
+          puzzle.root,
+          "#" + served,
+          // No hints or solutions against the clock
+          (statusRow) => statusRow.querySelector(".jc-controls").remove(),
+          {
+            onMistake: () => {
+              if (over || missed) return;
+              missed = true;
+              mistakes++;
+              updateBar();
+              if (mistakes >= opts.mistakes) end("Too many mistakes");
+              else setTimeout(next, 600);
+            },
+            onFinish: () => {
+              if (over || missed) return;
+              score++;
+              updateBar();
+              setTimeout(next, 300);
+            }
+          }
+        );
+      }
+
+      updateBar();
+      next();
+    }
+
+    startScreen();
+  }
+
   /* -------------------------------------------------- */
   /* Entry                                              */
   /* -------------------------------------------------- */
@@ -280,14 +868,24 @@
       const wrap = document.createElement("div");
       wrap.className = "jc-puzzle-wrapper";
       wrap.textContent = "Loading...";
+      if (node.hasAttribute("pieces")) wrap.dataset.pieces = node.getAttribute("pieces");
+      C.applyBoardTheme(node, wrap);
       node.replaceWith(wrap);
 
       const pgnMatch = raw.match(/PGN:\s*([^\s]+)/i);
       if (pgnMatch) {
-        renderRemotePGN(
-          wrap,
-          new URL(pgnMatch[1], window.location.href).href
-        );
+        const url = new URL(pgnMatch[1], window.location.href).href;
+        const filters = packOptions(raw);
+        let rendered;
+        if (node.getAttribute("mode") === "rush") {
+          wrap.classList.add("jc-rush");
+          rendered = renderRush(wrap, url, rushOptions(node), filters);
+        } else {
+          rendered = renderRemotePGN(wrap, url, filters);
+        }
+        rendered.catch((err) => {
+          wrap.textContent = `❌ Could not show these puzzles (${err.message}) ❌`;
+        });
         return;
       }
 
@@ -295,10 +893,11 @@
       const movesMatch = raw.match(/Moves:\s*([^]*)$/i);
 
       if (fenMatch && movesMatch) {
+        const fen = fenMatch[1].trim();
         renderLocalPuzzle(
           wrap,
-          fenMatch[1].trim(),
-          tokenizeMoves(movesMatch[1]),
+          fen,
+          solutionTree(fen, movesMatch[1]),
           "",
           () => {}
         );
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { Chess } = require("chess.js");
+const { page, ROOT } = require("./page");
+
+// Imports PGN into the analysis app and returns what "Copy PGN" writes
+function roundTrip(pgn) {
+  const html = fs.readFileSync(path.join(ROOT, "app.html"), "utf8");
+  const body = html.slice(html.indexOf("<body"), html.indexOf("</body>")).replace(/^<body[^>]*>/, "");
+  const w = page(body, []);
+  let copied = "";
+  w.Chessboard = () => ({ position() {}, orientation() {}, resize() {}, fen() {} });
+  Object.defineProperty(w.navigator, "clipboard", {
+    value: { writeText: (t) => ((copied = t), Promise.resolve()) },
+  });
+  ["pgn-core.js", "app.js"].forEach((f) => w.eval(fs.readFileSync(path.join(ROOT, "assets/js", f), "utf8")));
+  w.document.dispatchEvent(new w.Event("DOMContentLoaded"));
+
+  const button = (title) => [...w.document.querySelectorAll("button")].find((b) => b.title === title);
+  button("Import PGN / FEN").click();
+  w.document.getElementById("jc-imp").value = pgn;
+  w.document.getElementById("jc-imp-ok").click();
+  button("Copy PGN").click();
+  return copied;
+}
+
+test("exports imported games as PGN that chess.js loads", () => {
+  const out = roundTrip(
+    '[White "A"]\n\n1. e4 $1 e5?! +/= {Before [D] after} (1... c5 $14 {c} 2. Nf3 =/∞) 2. Nf3 ∞ *'
+  );
+  assert.ok(new Chess().load_pgn(out), out);
+
+  // Variations, NAGs and eval symbols as NAGs ("+/=" -> $14, "∞" -> $13)
+  assert.match(out, /1\. e4 \$1 e5 \$6 \$14 /);
+  assert.match(out, /\(1\.\.\. c5 \$14 \{c\} 2\. Nf3\)/);
+  assert.match(out, /2\. Nf3 \$13/);
+
+  // [D] stays where it was written
+  assert.match(out, /\{Before \[D\] after\}/);
+
+  // No symbol outside the comments
+  const movetext = out.replace(/^\[.*\]$/gm, "").replace(/\{[^}]*\}/g, "");
+  assert.match(movetext, /^[\x00-\x7f]*$/);
+});
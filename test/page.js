@@ -0,0 +1,22 @@
+// A jsdom page with chess.js and the given assets/js scripts loaded, the way
+// the site's layouts load them
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..");
+
+function page(body, scripts) {
+  const dom = new JSDOM("<!doctype html><html><body>" + (body || "") + "</body></html>", {
+    runScripts: "outside-only",
+    url: "http://localhost/"
+  });
+  const w = dom.window;
+  w.eval(fs.readFileSync(require.resolve("chess.js/chess.js"), "utf8"));
+  (scripts || []).forEach((file) => {
+    w.eval(fs.readFileSync(path.join(ROOT, "assets/js", file), "utf8"));
+  });
+  return w;
+}
+
+module.exports = { page, ROOT };
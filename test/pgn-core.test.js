@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { page } = require("./page");
+
+const C = page("", ["pgn-core.js"]).PGNCore;
+
+// Arrays from the page's realm, as plain ones for deepStrictEqual
+const plain = (v) => JSON.parse(JSON.stringify(v));
+
+test("parses the main line and nested variations", () => {
+  const game = C.parseGame("1. e4 e5 (1... c5 2. Nf3 (2. c3 d5) 2... d6) 2. Nf3 *");
+  assert.deepStrictEqual(plain(game.errors), []);
+  assert.deepStrictEqual(plain(C.mainline(game).map((n) => n.san)), ["e4", "e5", "Nf3"]);
+
+  // node.variations are the alternatives to node.next
+  const sicilian = game.root.next.variations[0];
+  assert.strictEqual(sicilian.san, "c5");
+  assert.strictEqual(sicilian.next.san, "Nf3");
+  assert.strictEqual(sicilian.variations[0].san, "c3");
+  assert.strictEqual(sicilian.variations[0].next.san, "d5");
+  assert.strictEqual(sicilian.next.next.san, "d6");
+});
+
+test("keeps NAGs, typed suffixes and eval symbols apart", () => {
+  const [e4, e5, nf3] = C.mainline(C.parseGame("1. e4 $1 e5?! +/= 2. Nf3 $14 *"));
+  assert.deepStrictEqual(plain(e4.nags), [1]);
+  assert.strictEqual(C.formatMove(e4), "e4!");
+  assert.strictEqual(e5.suffix, "?!");
+  assert.deepStrictEqual(plain(e5.symbols), ["⩲"]);
+  assert.deepStrictEqual(plain(nf3.nags), [14]);
+});
+
+test("splits a comment at a [D] marker", () => {
+  const [e4] = C.mainline(C.parseGame("1. e4 {Before [D] after} e5 *"));
+  assert.strictEqual(e4.diagram, true);
+  assert.deepStrictEqual(plain(C.commentSegments(e4)), ["Before", null, "after"]);
+});
+
+test("keeps the moves before an illegal one", () => {
+  const game = C.parseGame("1. e4 e5 2. Ke3 Nc6 *");
+  assert.deepStrictEqual(plain(C.mainline(game).map((n) => n.san)), ["e4", "e5"]);
+  assert.ok(game.errors.length > 0);
+});